@@ -0,0 +1,135 @@
+-- Tables as created by CREATE TABLE IF NOT EXISTS before versioned migrations existed,
+-- so databases from that era are adopted without changes
+
+CREATE TABLE IF NOT EXISTS blacklist (
+  address TEXT NOT NULL,
+  token TEXT NOT NULL,
+  network TEXT NOT NULL,
+  is_blacklisted BOOLEAN DEFAULT TRUE,
+  block_number INTEGER,
+  transaction_hash TEXT,
+  timestamp INTEGER,
+  first_seen INTEGER,
+  last_updated INTEGER,
+  PRIMARY KEY (address, token, network)
+);
+
+CREATE TABLE IF NOT EXISTS blacklist_events (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  address TEXT NOT NULL,
+  token TEXT NOT NULL,
+  network TEXT NOT NULL,
+  event_name TEXT NOT NULL,
+  direction TEXT NOT NULL,
+  block_number INTEGER NOT NULL,
+  transaction_hash TEXT NOT NULL,
+  log_index INTEGER NOT NULL,
+  timestamp INTEGER,
+  created_at INTEGER,
+  UNIQUE (network, token, transaction_hash, log_index)
+);
+
+CREATE TABLE IF NOT EXISTS destroyed_funds (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  address TEXT NOT NULL,
+  token TEXT NOT NULL,
+  network TEXT NOT NULL,
+  event_name TEXT NOT NULL,
+  amount TEXT NOT NULL,
+  block_number INTEGER NOT NULL,
+  transaction_hash TEXT NOT NULL,
+  log_index INTEGER NOT NULL,
+  timestamp INTEGER,
+  created_at INTEGER,
+  UNIQUE (network, token, transaction_hash, log_index)
+);
+
+CREATE TABLE IF NOT EXISTS sync_status (
+  network TEXT NOT NULL,
+  token TEXT NOT NULL,
+  last_synced_block INTEGER DEFAULT 0,
+  last_sync_timestamp INTEGER,
+  PRIMARY KEY (network, token)
+);
+
+CREATE TABLE IF NOT EXISTS block_hashes (
+  network TEXT NOT NULL,
+  block_number INTEGER NOT NULL,
+  block_hash TEXT NOT NULL,
+  PRIMARY KEY (network, block_number)
+);
+
+CREATE TABLE IF NOT EXISTS chain_heads (
+  network TEXT NOT NULL PRIMARY KEY,
+  head_block INTEGER,
+  confirmed_block INTEGER,
+  updated_at INTEGER
+);
+
+CREATE TABLE IF NOT EXISTS webhooks (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  url TEXT NOT NULL,
+  secret TEXT NOT NULL,
+  tokens TEXT,
+  networks TEXT,
+  active INTEGER DEFAULT 1,
+  created_at INTEGER
+);
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  webhook_id INTEGER NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+  event_type TEXT NOT NULL,
+  payload TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending',
+  attempts INTEGER DEFAULT 0,
+  next_attempt_at INTEGER,
+  last_error TEXT,
+  last_status_code INTEGER,
+  created_at INTEGER,
+  delivered_at INTEGER
+);
+
+CREATE TABLE IF NOT EXISTS blacklist_changes (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  change_type TEXT NOT NULL,
+  address TEXT NOT NULL,
+  token TEXT NOT NULL,
+  network TEXT NOT NULL,
+  event_name TEXT,
+  direction TEXT NOT NULL,
+  block_number INTEGER NOT NULL,
+  transaction_hash TEXT,
+  log_index INTEGER,
+  timestamp INTEGER,
+  created_at INTEGER NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS api_keys (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL,
+  key_prefix TEXT NOT NULL,
+  key_hash TEXT NOT NULL UNIQUE,
+  scopes TEXT NOT NULL,
+  rate_limit_per_minute INTEGER,
+  daily_quota INTEGER,
+  created_at INTEGER,
+  last_used_at INTEGER,
+  revoked_at INTEGER
+);
+
+CREATE TABLE IF NOT EXISTS api_key_usage (
+  key_id INTEGER NOT NULL,
+  day TEXT NOT NULL,
+  request_count INTEGER DEFAULT 0,
+  PRIMARY KEY (key_id, day)
+);
+
+CREATE INDEX IF NOT EXISTS idx_blacklist_address ON blacklist(address);
+CREATE INDEX IF NOT EXISTS idx_blacklist_status ON blacklist(is_blacklisted);
+CREATE INDEX IF NOT EXISTS idx_blacklist_network_token ON blacklist(network, token);
+CREATE INDEX IF NOT EXISTS idx_blacklist_events_address ON blacklist_events(address, token, network, block_number, log_index);
+CREATE INDEX IF NOT EXISTS idx_blacklist_events_network_token ON blacklist_events(network, token);
+CREATE INDEX IF NOT EXISTS idx_destroyed_funds_address ON destroyed_funds(address, token, network);
+CREATE INDEX IF NOT EXISTS idx_blacklist_changes_network_token ON blacklist_changes(network, token);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at);
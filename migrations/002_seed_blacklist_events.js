@@ -0,0 +1,48 @@
+import { getToken } from '../src/registry.js';
+import { DIRECTION, EVENT_TYPE } from '../src/constants.js';
+
+// Log index of seeded events: never a real log, so the contract's actual event doesn't collide
+// with the seed, and a full resync of the range replaces it
+const SEED_LOG_INDEX = -1;
+
+/**
+ * Blacklist rows written before blacklist_events existed have no events, so their history was
+ * empty and re-deriving the row deleted it. Seed one event per such row from the block and
+ * transaction the row records, named after the token's registry event.
+ * @param {Object} db - Storage driver, inside the migration's transaction
+ */
+export async function up(db) {
+  const rows = await db.all(`
+    SELECT * FROM blacklist b
+    WHERE block_number IS NOT NULL AND transaction_hash IS NOT NULL
+      AND NOT EXISTS (
+        SELECT 1 FROM blacklist_events e
+        WHERE e.address = b.address AND e.token = b.token AND e.network = b.network
+      )
+  `);
+
+  for (const row of rows) {
+    const direction = Number(row.is_blacklisted) ? DIRECTION.BLACKLISTED : DIRECTION.UNBLACKLISTED;
+    const event = getToken(row.network, row.token)?.events
+      .find(e => e.type === EVENT_TYPE.STATUS && e.direction === direction);
+
+    await db.run(`
+      INSERT INTO blacklist_events (
+        address, token, network, event_name, direction,
+        block_number, transaction_hash, log_index, timestamp, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(network, token, transaction_hash, log_index) DO NOTHING
+    `, [
+      row.address,
+      row.token,
+      row.network,
+      event?.name ?? (direction === DIRECTION.BLACKLISTED ? 'Blacklisted' : 'Unblacklisted'),
+      direction,
+      row.block_number,
+      row.transaction_hash,
+      SEED_LOG_INDEX,
+      row.timestamp,
+      Date.now()
+    ]);
+  }
+}
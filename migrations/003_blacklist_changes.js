@@ -0,0 +1,30 @@
+import { CHANGE_TYPE } from '../src/constants.js';
+
+/**
+ * Stream cursors were blacklist_events ids before the change log existed. Copy the events into
+ * the log with their ids while it is still empty, so clients resuming with an old cursor continue
+ * where they left off. Databases whose log was already filled at startup are left alone.
+ * @param {Object} db - Storage driver, inside the migration's transaction
+ */
+export async function up(db) {
+  await db.run(`
+    INSERT INTO blacklist_changes (
+      id, change_type, address, token, network, event_name, direction,
+      block_number, transaction_hash, log_index, timestamp, created_at
+    )
+    SELECT
+      id, ?, address, token, network, event_name, direction,
+      block_number, transaction_hash, log_index, timestamp, COALESCE(created_at, 0)
+    FROM blacklist_events
+    WHERE NOT EXISTS (SELECT 1 FROM blacklist_changes)
+    ORDER BY id ASC
+  `, [CHANGE_TYPE.ADDED]);
+
+  // Explicit ids don't advance a PostgreSQL sequence
+  if (db.dialect === 'postgres') {
+    await db.get(`
+      SELECT setval(pg_get_serial_sequence('blacklist_changes', 'id'), COALESCE(MAX(id), 0) + 1, false)
+      FROM blacklist_changes
+    `);
+  }
+}
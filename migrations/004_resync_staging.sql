@@ -0,0 +1,30 @@
+-- Full resyncs collect events here and swap them into blacklist_events / destroyed_funds
+-- in one transaction, so the live tables keep serving the old data until the resync succeeds
+
+CREATE TABLE IF NOT EXISTS blacklist_events_staging (
+  address TEXT NOT NULL,
+  token TEXT NOT NULL,
+  network TEXT NOT NULL,
+  event_name TEXT NOT NULL,
+  direction TEXT NOT NULL,
+  block_number INTEGER NOT NULL,
+  transaction_hash TEXT NOT NULL,
+  log_index INTEGER NOT NULL,
+  timestamp INTEGER,
+  created_at INTEGER,
+  UNIQUE (network, token, transaction_hash, log_index)
+);
+
+CREATE TABLE IF NOT EXISTS destroyed_funds_staging (
+  address TEXT NOT NULL,
+  token TEXT NOT NULL,
+  network TEXT NOT NULL,
+  event_name TEXT NOT NULL,
+  amount TEXT NOT NULL,
+  block_number INTEGER NOT NULL,
+  transaction_hash TEXT NOT NULL,
+  log_index INTEGER NOT NULL,
+  timestamp INTEGER,
+  created_at INTEGER,
+  UNIQUE (network, token, transaction_hash, log_index)
+);
@@ -0,0 +1,15 @@
+-- TronGrid paging position per token and event name. Every event with a block timestamp between
+-- covered_from and covered_to has been stored; while a range is being paged, range_start,
+-- range_end and the next page's fingerprint let an interrupted sync resume mid-range.
+
+CREATE TABLE IF NOT EXISTS tron_sync_cursors (
+  token TEXT NOT NULL,
+  event_name TEXT NOT NULL,
+  covered_from INTEGER NOT NULL,
+  covered_to INTEGER NOT NULL,
+  range_start INTEGER,
+  range_end INTEGER,
+  fingerprint TEXT,
+  updated_at INTEGER,
+  PRIMARY KEY (token, event_name)
+);
@@ -0,0 +1,19 @@
+-- Health of each configured EVM RPC provider as last reported by the sync process, for /stats
+
+CREATE TABLE IF NOT EXISTS rpc_providers (
+  network TEXT NOT NULL,
+  position INTEGER NOT NULL,
+  provider TEXT NOT NULL,
+  available INTEGER NOT NULL,
+  score INTEGER,
+  latency_ms INTEGER,
+  error_rate REAL,
+  requests INTEGER,
+  errors INTEGER,
+  head_block INTEGER,
+  lag_blocks INTEGER,
+  cooldown_until INTEGER,
+  last_error TEXT,
+  updated_at INTEGER,
+  PRIMARY KEY (network, position)
+);
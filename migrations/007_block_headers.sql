@@ -0,0 +1,10 @@
+-- Timestamps of EVM blocks that produced events, so re-syncs and restarts don't fetch them again.
+-- Rows imported from a block-time index may have no hash.
+
+CREATE TABLE IF NOT EXISTS block_headers (
+  network TEXT NOT NULL,
+  block_number INTEGER NOT NULL,
+  block_hash TEXT,
+  timestamp INTEGER NOT NULL,
+  PRIMARY KEY (network, block_number)
+);
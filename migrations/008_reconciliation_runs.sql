@@ -0,0 +1,35 @@
+-- One row per reconciliation run that compared stored blacklist status with the contracts'
+-- on-chain status views. report holds the per-token summary and the mismatches as JSON.
+
+CREATE TABLE IF NOT EXISTS reconciliation_runs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  status TEXT NOT NULL,
+  dry_run INTEGER NOT NULL DEFAULT 0,
+  checked INTEGER DEFAULT 0,
+  matches INTEGER DEFAULT 0,
+  mismatches INTEGER DEFAULT 0,
+  healed INTEGER DEFAULT 0,
+  errors INTEGER DEFAULT 0,
+  report TEXT,
+  error TEXT,
+  started_at INTEGER NOT NULL,
+  finished_at INTEGER
+);
+
+-- Status corrections written by reconciliation when a contract's status view disagrees with the
+-- stored events. Kept out of blacklist_events so the event history only holds real chain events;
+-- a correction stands until a chain event at a later block supersedes it.
+
+CREATE TABLE IF NOT EXISTS blacklist_corrections (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  address TEXT NOT NULL,
+  token TEXT NOT NULL,
+  network TEXT NOT NULL,
+  is_blacklisted INTEGER NOT NULL,
+  block_number INTEGER NOT NULL,
+  timestamp INTEGER,
+  run_id INTEGER,
+  created_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_blacklist_corrections_address ON blacklist_corrections(address, token, network, block_number);
@@ -2,7 +2,7 @@ import Web3 from 'web3';
 import TronWeb from 'tronweb';
 import dotenv from 'dotenv';
 import { safeToNumber } from '../src/utils/bigint.js';
-import { CONTRACTS, EVENTS } from '../src/constants.js';
+import { getToken, getTokens } from '../src/registry.js';
 
 dotenv.config();
 
@@ -20,37 +20,17 @@ async function testEthereum() {
     const blockNumber = safeToNumber(blockNumberBigInt);
     console.log(`✅ Connected to Ethereum - Current block: ${blockNumber}`);
     
-    // Test USDT contract
-    console.log('\n📋 Testing USDT contract...');
-    const usdtAddedLogs = await web3.eth.getPastLogs({
-      fromBlock: Math.max(blockNumber - 100, 0),
-      toBlock: blockNumber,
-      address: CONTRACTS.ETHEREUM.USDT,
-      topics: [EVENTS.ADDED_BLACKLIST]
-    });
-    const usdtRemovedLogs = await web3.eth.getPastLogs({
-      fromBlock: Math.max(blockNumber - 100, 0),
-      toBlock: blockNumber,
-      address: CONTRACTS.ETHEREUM.USDT,
-      topics: [EVENTS.REMOVED_BLACKLIST]
-    });
-    console.log(`✅ Found ${usdtAddedLogs.length + usdtRemovedLogs.length} USDT blacklist events in last 100 blocks`);
-    
-    // Test USDC contract
-    console.log('\n📋 Testing USDC contract...');
-    const usdcBlacklistedLogs = await web3.eth.getPastLogs({
-      fromBlock: Math.max(blockNumber - 100, 0),
-      toBlock: blockNumber,
-      address: CONTRACTS.ETHEREUM.USDC,
-      topics: [EVENTS.BLACKLISTED]
-    });
-    const usdcUnblacklistedLogs = await web3.eth.getPastLogs({
-      fromBlock: Math.max(blockNumber - 100, 0),
-      toBlock: blockNumber,
-      address: CONTRACTS.ETHEREUM.USDC,
-      topics: [EVENTS.UNBLACKLISTED]
-    });
-    console.log(`✅ Found ${usdcBlacklistedLogs.length + usdcUnblacklistedLogs.length} USDC blacklist events in last 100 blocks`);
+    // Test every Ethereum contract in the token registry
+    for (const tokenConfig of getTokens('ETHEREUM')) {
+      console.log(`\n📋 Testing ${tokenConfig.token} contract...`);
+      const logs = await web3.eth.getPastLogs({
+        fromBlock: Math.max(blockNumber - 100, 0),
+        toBlock: blockNumber,
+        address: tokenConfig.address,
+        topics: [tokenConfig.events.map(e => e.topic)]
+      });
+      console.log(`✅ Found ${logs.length} ${tokenConfig.token} blacklist events in last 100 blocks`);
+    }
     
     return true;
   } catch (error) {
@@ -79,7 +59,7 @@ async function testTron() {
     const currentTimestamp = currentBlock.block_header.raw_data.timestamp;
     const fromTimestamp = currentTimestamp - (60 * 60 * 1000); // 1 hour ago
     
-    const url = `${tronWeb.fullNode.host}/v1/contracts/${CONTRACTS.TRON.USDT}/events`;
+    const url = `${tronWeb.fullNode.host}/v1/contracts/${getToken('TRON', 'USDT').address}/events`;
     const params = new URLSearchParams({
       event_name: 'AddedBlackList',
       min_block_timestamp: fromTimestamp,
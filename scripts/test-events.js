@@ -1,6 +1,6 @@
 import Web3 from 'web3';
 import dotenv from 'dotenv';
-import { CONTRACTS, EVENTS } from '../src/constants.js';
+import { getTokens } from '../src/registry.js';
 
 dotenv.config();
 
@@ -10,10 +10,11 @@ const web3 = new Web3(process.env.ETHEREUM_RPC_URL);
 
 // Print event signatures
 console.log('📋 Generated Event Signatures:');
-console.log(`ADDED_BLACKLIST: ${EVENTS.ADDED_BLACKLIST}`);
-console.log(`REMOVED_BLACKLIST: ${EVENTS.REMOVED_BLACKLIST}`);
-console.log(`BLACKLISTED: ${EVENTS.BLACKLISTED}`);
-console.log(`UNBLACKLISTED: ${EVENTS.UNBLACKLISTED}`);
+for (const tokenConfig of getTokens('ETHEREUM')) {
+  for (const event of tokenConfig.events) {
+    console.log(`${tokenConfig.token} ${event.signature}: ${event.topic}`);
+  }
+}
 
 // Test each event signature individually
 async function testEventSignature(contractAddress, eventHash, eventName) {
@@ -45,25 +46,12 @@ async function testEventSignature(contractAddress, eventHash, eventName) {
 async function testAll() {
   console.log('\n🔍 Testing Individual Event Signatures...\n');
   
-  // Test USDT events
-  await testEventSignature(CONTRACTS.ETHEREUM.USDT, EVENTS.ADDED_BLACKLIST, 'USDT AddedBlackList');
-  await testEventSignature(CONTRACTS.ETHEREUM.USDT, EVENTS.REMOVED_BLACKLIST, 'USDT RemovedBlackList');
-  
-  // Test USDC events
-  await testEventSignature(CONTRACTS.ETHEREUM.USDC, EVENTS.BLACKLISTED, 'USDC Blacklisted');
-  await testEventSignature(CONTRACTS.ETHEREUM.USDC, EVENTS.UNBLACKLISTED, 'USDC UnBlacklisted');
-  
-  console.log('\n🔍 Testing Alternative Event Signatures for USDC...\n');
-  
-  // Test alternative event signatures for USDC
-  const alternativeBlacklisted = web3.utils.keccak256('Blacklisted(address)');
-  const alternativeUnblacklisted = web3.utils.keccak256('UnBlacklisted(address)');
-  
-  console.log(`Alternative BLACKLISTED: ${alternativeBlacklisted}`);
-  console.log(`Alternative UNBLACKLISTED: ${alternativeUnblacklisted}`);
-  
-  await testEventSignature(CONTRACTS.ETHEREUM.USDC, alternativeBlacklisted, 'USDC Blacklisted (alt)');
-  await testEventSignature(CONTRACTS.ETHEREUM.USDC, alternativeUnblacklisted, 'USDC UnBlacklisted (alt)');
+  // Test every registry event on Ethereum
+  for (const tokenConfig of getTokens('ETHEREUM')) {
+    for (const event of tokenConfig.events) {
+      await testEventSignature(tokenConfig.address, event.topic, `${tokenConfig.token} ${event.name}`);
+    }
+  }
 }
 
 testAll().catch(console.error); 
\ No newline at end of file
@@ -0,0 +1,153 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import database from '../database.js';
+import logger from '../logger.js';
+import { sendError } from './errors.js';
+import { STREAM_PATH } from './stream.js';
+
+dotenv.config();
+
+const AUTH_ENABLED = process.env.API_AUTH_ENABLED === 'true';
+const DEFAULT_RATE_LIMIT = parseInt(process.env.API_DEFAULT_RATE_LIMIT_PER_MINUTE || '60');
+const DEFAULT_DAILY_QUOTA = process.env.API_DEFAULT_DAILY_QUOTA ? parseInt(process.env.API_DEFAULT_DAILY_QUOTA) : null;
+const KEY_CACHE_TTL = 60 * 1000;
+
+// Routes reachable without a key even when authentication is enabled
+const PUBLIC_PATHS = new Set(['/health', '/metrics', '/openapi.json']);
+
+// Keys are 32 random bytes, so a plain SHA-256 is enough to store them safely
+export function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+export function generateApiKey() {
+  const key = `bl_${crypto.randomBytes(32).toString('base64url')}`;
+  return { key, keyPrefix: key.slice(0, 11), keyHash: hashApiKey(key) };
+}
+
+export function parseScopes(value) {
+  const scopes = value.split(',').map(s => s.trim()).filter(Boolean);
+  return scopes.includes('admin') ? ['read', 'admin'] : scopes;
+}
+
+// Looked-up keys are cached briefly so each request doesn't hit the database;
+// revocations take effect within KEY_CACHE_TTL
+const keyCache = new Map();
+// Fixed one-minute windows per key: keyId -> { windowStart, count }
+const rateWindows = new Map();
+
+async function lookupKey(key) {
+  const keyHash = hashApiKey(key);
+  const cached = keyCache.get(keyHash);
+  if (cached && cached.expires > Date.now()) {
+    return cached.record;
+  }
+
+  const record = await database.getApiKeyByHash(keyHash);
+  keyCache.set(keyHash, { record, expires: Date.now() + KEY_CACHE_TTL });
+  return record;
+}
+
+function extractKey(req) {
+  const header = req.get('Authorization');
+  if (header?.startsWith('Bearer ')) {
+    return header.slice(7).trim();
+  }
+  // Browsers can't set headers on EventSource or WebSocket connections, so the stream also takes ?api_key=
+  if (req.path === STREAM_PATH && req.query?.api_key) {
+    return req.query.api_key;
+  }
+  return req.get('X-API-Key') || null;
+}
+
+function rejectRateLimited(res, message, retryAfterSeconds) {
+  res.set('Retry-After', String(Math.max(retryAfterSeconds, 1)));
+  sendError(res, 429, message);
+}
+
+function checkRateLimit(apiKey, res) {
+  const limit = apiKey.rate_limit_per_minute ?? DEFAULT_RATE_LIMIT;
+  if (!limit) {
+    return true;
+  }
+
+  const now = Date.now();
+  let window = rateWindows.get(apiKey.id);
+  if (!window || now - window.windowStart >= 60 * 1000) {
+    window = { windowStart: now, count: 0 };
+    rateWindows.set(apiKey.id, window);
+  }
+  window.count++;
+
+  const resetSeconds = Math.ceil((window.windowStart + 60 * 1000 - now) / 1000);
+  res.set('X-RateLimit-Limit', String(limit));
+  res.set('X-RateLimit-Remaining', String(Math.max(limit - window.count, 0)));
+  res.set('X-RateLimit-Reset', String(resetSeconds));
+
+  if (window.count > limit) {
+    rejectRateLimited(res, 'Rate limit exceeded', resetSeconds);
+    return false;
+  }
+  return true;
+}
+
+async function checkDailyQuota(apiKey, res) {
+  const quota = apiKey.daily_quota ?? DEFAULT_DAILY_QUOTA;
+  const now = new Date();
+  const used = await database.incrementApiKeyUsage(apiKey.id, now.toISOString().slice(0, 10));
+
+  if (!quota) {
+    return true;
+  }
+
+  res.set('X-Quota-Limit', String(quota));
+  res.set('X-Quota-Remaining', String(Math.max(quota - used, 0)));
+
+  if (used > quota) {
+    const midnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+    rejectRateLimited(res, 'Daily quota exceeded', Math.ceil((midnight - now.getTime()) / 1000));
+    return false;
+  }
+  return true;
+}
+
+// Resolve the API key, enforce its rate limit and daily quota, and attach it as req.apiKey
+export async function authenticate(req, res, next) {
+  if (!AUTH_ENABLED || PUBLIC_PATHS.has(req.path)) {
+    return next();
+  }
+
+  try {
+    const key = extractKey(req);
+    const apiKey = key ? await lookupKey(key) : null;
+
+    if (!apiKey || apiKey.revoked_at) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return sendError(res, 401, key ? 'Invalid API key' : 'API key required');
+    }
+
+    if (!checkRateLimit(apiKey, res) || !await checkDailyQuota(apiKey, res)) {
+      return;
+    }
+
+    req.apiKey = { ...apiKey, scopes: apiKey.scopes.split(',') };
+    next();
+  } catch (error) {
+    logger.error('Error authenticating request:', error);
+    sendError(res, 500, 'Internal server error');
+  }
+}
+
+// With authentication off, read routes stay open but admin routes (key management, webhook
+// registration) are refused: anyone could otherwise mint keys or point webhooks at internal hosts
+export function requireScope(scope) {
+  return (req, res, next) => {
+    if (!AUTH_ENABLED && scope === 'admin') {
+      return sendError(res, 403, 'Admin routes require API_AUTH_ENABLED=true');
+    }
+    if (AUTH_ENABLED && !req.apiKey?.scopes.includes(scope)) {
+      return sendError(res, 403, `API key lacks the ${scope} scope`);
+    }
+    next();
+  };
+}
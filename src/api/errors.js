@@ -0,0 +1,18 @@
+// Every error response has the same shape: { error: <message>, code: <machine-readable code>, details? }
+const ERROR_CODES = {
+  400: 'invalid_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  429: 'rate_limited',
+  500: 'internal_error',
+  503: 'unavailable'
+};
+
+export function sendError(res, status, message, details = undefined) {
+  const body = { error: message, code: ERROR_CODES[status] || 'error' };
+  if (details) {
+    body.details = details;
+  }
+  return res.status(status).json(body);
+}
@@ -0,0 +1,737 @@
+import { getNetworks, getTokens } from '../registry.js';
+import { API_SCOPES } from '../constants.js';
+import { EVM_ADDRESS_PATTERN, TRON_HEX_ADDRESS_PATTERN, TRON_BASE58_ADDRESS_PATTERN } from '../utils/address.js';
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+const errorResponse = description => ({
+  description,
+  content: { 'application/json': { schema: ref('Error') } }
+});
+
+const jsonResponse = (description, schema) => ({
+  description,
+  content: { 'application/json': { schema } }
+});
+
+const listOf = schema => ({
+  type: 'object',
+  required: ['data'],
+  properties: { data: { type: 'array', items: schema } }
+});
+
+const networkQuery = { name: 'network', in: 'query', schema: ref('Network') };
+const tokenQuery = { name: 'token', in: 'query', schema: ref('Token') };
+const addressPath = { name: 'address', in: 'path', required: true, schema: ref('Address') };
+const atBlockDescription = 'Answer as of this block, including its events, instead of the current state. Requires network';
+const atTimeDescription = 'Answer as of this ISO 8601 date-time, including events at that instant, instead of the current state';
+const atBlockQuery = { name: 'at_block', in: 'query', schema: { type: 'integer', minimum: 0 }, description: atBlockDescription };
+const atTimeQuery = { name: 'at_time', in: 'query', schema: { type: 'string' }, description: atTimeDescription };
+const asOfSchema = {
+  type: 'object',
+  description: 'Point in time the answer was derived for; only present with at_block or at_time',
+  properties: {
+    block_number: { type: 'integer', nullable: true },
+    time: { type: 'string', format: 'date-time', nullable: true }
+  }
+};
+const idPath = { name: 'id', in: 'path', required: true, schema: { type: 'integer', minimum: 1 } };
+
+const readErrors = {
+  400: errorResponse('Invalid request'),
+  401: errorResponse('Missing or invalid API key'),
+  403: errorResponse('API key lacks the required scope'),
+  429: errorResponse('Rate limit or daily quota exceeded'),
+  500: errorResponse('Internal server error')
+};
+
+function buildSchemas() {
+  const tokenSymbols = [...new Set(getTokens().map(t => t.token))];
+
+  return {
+    Error: {
+      type: 'object',
+      required: ['error', 'code'],
+      properties: {
+        error: { type: 'string', description: 'Human-readable message' },
+        code: {
+          type: 'string',
+          enum: ['invalid_request', 'unauthorized', 'forbidden', 'not_found', 'rate_limited', 'internal_error', 'unavailable']
+        },
+        details: {
+          type: 'array',
+          description: 'Individual validation failures',
+          items: {
+            type: 'object',
+            required: ['location', 'field', 'message'],
+            properties: {
+              location: { type: 'string', enum: ['path', 'query', 'body'] },
+              field: { type: 'string' },
+              message: { type: 'string' }
+            }
+          }
+        }
+      }
+    },
+    Network: { type: 'string', enum: getNetworks().map(n => n.name) },
+    Token: { type: 'string', enum: tokenSymbols },
+    Address: {
+      type: 'string',
+      description: '0x-prefixed hex address on EVM networks; base58 (T...), 41-prefixed hex or, with network=TRON, ' +
+        '0x-prefixed hex on TRON. Without a network parameter the network type is detected from the format.',
+      anyOf: [
+        { pattern: EVM_ADDRESS_PATTERN },
+        { pattern: TRON_HEX_ADDRESS_PATTERN },
+        { pattern: TRON_BASE58_ADDRESS_PATTERN }
+      ]
+    },
+    DestroyedFundsSummary: {
+      type: 'object',
+      properties: {
+        total_destroyed: { type: 'string', description: 'Sum of destroyed amounts in base units' },
+        total_destroyed_formatted: { type: 'string', nullable: true },
+        destroyed_funds: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              amount: { type: 'string' },
+              block_number: { type: 'integer' },
+              transaction_hash: { type: 'string' },
+              timestamp: { type: 'integer' }
+            }
+          }
+        }
+      }
+    },
+    StatusResult: {
+      allOf: [
+        {
+          type: 'object',
+          properties: {
+            token: ref('Token'),
+            network: ref('Network'),
+            is_blacklisted: { type: 'boolean' },
+            pending: { type: 'boolean', description: 'Block is not yet final and may be reorged away' },
+            block_number: { type: 'integer' },
+            timestamp: { type: 'integer', description: 'Seconds on EVM networks, milliseconds on TRON' },
+            last_updated: { type: 'integer' }
+          }
+        },
+        ref('DestroyedFundsSummary')
+      ]
+    },
+    BlacklistEntry: {
+      type: 'object',
+      properties: {
+        address: { type: 'string', description: 'Stored hex form (41-prefixed on TRON)' },
+        address_base58: { type: 'string', nullable: true, description: 'Base58 form on TRON, null on EVM networks' },
+        token: ref('Token'),
+        network: ref('Network'),
+        pending: { type: 'boolean' },
+        block_number: { type: 'integer' },
+        timestamp: { type: 'integer' },
+        last_updated: { type: 'integer' }
+      }
+    },
+    HistoryEvent: {
+      type: 'object',
+      properties: {
+        token: ref('Token'),
+        network: ref('Network'),
+        event_name: { type: 'string' },
+        direction: { type: 'string', enum: ['blacklisted', 'unblacklisted'] },
+        pending: { type: 'boolean' },
+        block_number: { type: 'integer' },
+        transaction_hash: { type: 'string' },
+        log_index: { type: 'integer' },
+        timestamp: { type: 'integer' },
+        time: { type: 'string', format: 'date-time' }
+      }
+    },
+    Change: {
+      type: 'object',
+      properties: {
+        id: { type: 'integer', description: 'Change id, usable as the resume cursor' },
+        change: {
+          type: 'string',
+          enum: ['added', 'removed', 'corrected'],
+          description: 'added: a new event. removed: an event dropped by a reorg, a removed log or a resync. ' +
+            'corrected: reconciliation set the status from the contract (no event fields)'
+        },
+        direction: { type: 'string', enum: ['blacklisted', 'unblacklisted'] },
+        address: { type: 'string' },
+        address_base58: { type: 'string', nullable: true },
+        token: ref('Token'),
+        network: ref('Network'),
+        event_name: { type: 'string', nullable: true },
+        pending: { type: 'boolean' },
+        block_number: { type: 'integer' },
+        transaction_hash: { type: 'string', nullable: true },
+        log_index: { type: 'integer', nullable: true },
+        timestamp: { type: 'integer' },
+        time: { type: 'string', format: 'date-time', nullable: true }
+      }
+    },
+    HistoryPoint: {
+      type: 'object',
+      properties: {
+        block_number: { type: 'integer' },
+        transaction_hash: { type: 'string' },
+        timestamp: { type: 'integer' },
+        time: { type: 'string', format: 'date-time', nullable: true }
+      }
+    },
+    FrozenPeriod: {
+      type: 'object',
+      properties: {
+        token: ref('Token'),
+        network: ref('Network'),
+        frozen_at: ref('HistoryPoint'),
+        unfrozen_at: { allOf: [ref('HistoryPoint')], nullable: true },
+        ongoing: { type: 'boolean' },
+        duration_seconds: { type: 'integer', nullable: true }
+      }
+    },
+    Webhook: {
+      type: 'object',
+      properties: {
+        id: { type: 'integer' },
+        url: { type: 'string', format: 'uri' },
+        tokens: { type: 'array', items: ref('Token'), nullable: true },
+        networks: { type: 'array', items: ref('Network'), nullable: true },
+        active: { type: 'boolean' },
+        created_at: { type: 'integer' }
+      }
+    },
+    WebhookDelivery: {
+      type: 'object',
+      properties: {
+        id: { type: 'integer' },
+        webhook_id: { type: 'integer' },
+        event_type: { type: 'string' },
+        payload: { type: 'object' },
+        attempts: { type: 'integer' },
+        last_error: { type: 'string', nullable: true },
+        last_status_code: { type: 'integer', nullable: true },
+        created_at: { type: 'integer' }
+      }
+    },
+    ReconciliationRun: {
+      type: 'object',
+      properties: {
+        id: { type: 'integer' },
+        status: { type: 'string', enum: ['completed', 'failed'] },
+        dry_run: { type: 'boolean' },
+        checked: { type: 'integer', description: 'Address/token pairs whose on-chain status was read' },
+        matches: { type: 'integer' },
+        mismatches: { type: 'integer' },
+        healed: { type: 'integer', description: 'Mismatches healed with a correction' },
+        errors: { type: 'integer', description: 'On-chain calls that failed' },
+        error: { type: 'string', nullable: true },
+        started_at: { type: 'integer' },
+        finished_at: { type: 'integer' },
+        report: {
+          type: 'object',
+          properties: {
+            tokens: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  network: ref('Network'),
+                  token: ref('Token'),
+                  block_number: { type: 'integer', description: 'Block the check started at' },
+                  checked: { type: 'integer' },
+                  matches: { type: 'integer' },
+                  mismatches: { type: 'integer' },
+                  healed: { type: 'integer' },
+                  deferred: { type: 'integer', description: 'Mismatches left alone because the sync was behind' },
+                  errors: { type: 'integer' }
+                }
+              }
+            },
+            mismatches: {
+              type: 'array',
+              description: 'Up to 1000 mismatched addresses',
+              items: {
+                type: 'object',
+                properties: {
+                  network: ref('Network'),
+                  token: ref('Token'),
+                  address: { type: 'string' },
+                  db_status: { type: 'boolean' },
+                  chain_status: { type: 'boolean' },
+                  action: { type: 'string', enum: ['healed', 'dry_run', 'deferred'] }
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    ApiKey: {
+      type: 'object',
+      properties: {
+        id: { type: 'integer' },
+        name: { type: 'string' },
+        key_prefix: { type: 'string' },
+        scopes: { type: 'array', items: { type: 'string', enum: API_SCOPES } },
+        rate_limit_per_minute: { type: 'integer', nullable: true },
+        daily_quota: { type: 'integer', nullable: true },
+        requests_today: { type: 'integer' },
+        created_at: { type: 'integer' },
+        last_used_at: { type: 'integer', nullable: true },
+        revoked_at: { type: 'integer', nullable: true }
+      }
+    }
+  };
+}
+
+function buildPaths() {
+  return {
+    '/health': {
+      get: {
+        operationId: 'getHealth',
+        tags: ['system'],
+        security: [],
+        responses: {
+          200: jsonResponse('Service is up', {
+            type: 'object',
+            properties: { status: { type: 'string' }, timestamp: { type: 'string', format: 'date-time' } }
+          })
+        }
+      }
+    },
+    '/metrics': {
+      get: {
+        operationId: 'getMetrics',
+        tags: ['system'],
+        security: [],
+        responses: {
+          200: { description: 'Prometheus exposition format', content: { 'text/plain': { schema: { type: 'string' } } } }
+        }
+      }
+    },
+    '/openapi.json': {
+      get: {
+        operationId: 'getOpenApiSpec',
+        tags: ['system'],
+        security: [],
+        responses: { 200: jsonResponse('This document', { type: 'object' }) }
+      }
+    },
+    '/blacklist/stream': {
+      get: {
+        operationId: 'streamChanges',
+        tags: ['blacklist'],
+        summary: 'Live blacklist changes over Server-Sent Events (or WebSocket on the same path)',
+        description: 'Each change is sent with its change id. Pass the last id received as cursor ' +
+          '(or Last-Event-ID for SSE) to replay everything written since; without a cursor only new changes are sent.',
+        parameters: [
+          tokenQuery,
+          networkQuery,
+          { name: 'cursor', in: 'query', schema: { type: 'integer', minimum: 0 } },
+          { name: 'Last-Event-ID', in: 'header', schema: { type: 'integer', minimum: 0 } },
+          {
+            name: 'api_key',
+            in: 'query',
+            description: 'API key for clients that cannot set headers (EventSource, browser WebSocket)',
+            schema: { type: 'string' }
+          }
+        ],
+        responses: {
+          200: {
+            description: 'Stream of change events',
+            content: { 'text/event-stream': { schema: ref('Change') } }
+          },
+          ...readErrors
+        }
+      }
+    },
+    '/blacklist/check/{address}': {
+      get: {
+        operationId: 'checkAddress',
+        tags: ['blacklist'],
+        summary: 'Blacklist status of an address, currently or at a past block or time',
+        parameters: [addressPath, tokenQuery, networkQuery, atBlockQuery, atTimeQuery],
+        responses: {
+          200: jsonResponse('Status per token and network', {
+            type: 'object',
+            properties: {
+              address: { type: 'string' },
+              address_base58: { type: 'string', nullable: true },
+              as_of: asOfSchema,
+              results: { type: 'array', items: ref('StatusResult') }
+            }
+          }),
+          ...readErrors
+        }
+      }
+    },
+    '/blacklist/history/{address}': {
+      get: {
+        operationId: 'getAddressHistory',
+        tags: ['blacklist'],
+        summary: 'Blacklist timeline, frozen periods and destroyed funds of an address',
+        parameters: [addressPath, tokenQuery, networkQuery],
+        responses: {
+          200: jsonResponse('Address history', {
+            type: 'object',
+            properties: {
+              address: { type: 'string' },
+              address_base58: { type: 'string', nullable: true },
+              events: { type: 'array', items: ref('HistoryEvent') },
+              frozen_periods: { type: 'array', items: ref('FrozenPeriod') },
+              destroyed_funds: { type: 'array', items: { type: 'object' } }
+            }
+          }),
+          ...readErrors
+        }
+      }
+    },
+    '/blacklist': {
+      get: {
+        operationId: 'listBlacklisted',
+        tags: ['blacklist'],
+        summary: 'Currently blacklisted addresses',
+        parameters: [
+          networkQuery,
+          tokenQuery,
+          { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 10000, default: 1000 } },
+          { name: 'offset', in: 'query', schema: { type: 'integer', minimum: 0, default: 0 } }
+        ],
+        responses: {
+          200: jsonResponse('One page of blacklisted addresses', {
+            type: 'object',
+            properties: {
+              total: { type: 'integer' },
+              limit: { type: 'integer' },
+              offset: { type: 'integer' },
+              data: { type: 'array', items: ref('BlacklistEntry') }
+            }
+          }),
+          ...readErrors
+        }
+      }
+    },
+    '/blacklist/check-batch': {
+      post: {
+        operationId: 'checkAddressBatch',
+        tags: ['blacklist'],
+        summary: 'Blacklist status of up to 100 addresses, currently or at a past block or time',
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['addresses'],
+                additionalProperties: false,
+                properties: {
+                  addresses: { type: 'array', minItems: 1, maxItems: 100, items: ref('Address') },
+                  token: ref('Token'),
+                  network: ref('Network'),
+                  at_block: { type: 'integer', minimum: 0, description: atBlockDescription },
+                  at_time: { type: 'string', description: atTimeDescription }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: jsonResponse('Status per address', {
+            type: 'object',
+            properties: {
+              as_of: asOfSchema,
+              results: {
+                type: 'object',
+                description: 'Keyed by the requested address',
+                additionalProperties: {
+                  type: 'array',
+                  items: {
+                    allOf: [
+                      {
+                        type: 'object',
+                        properties: { address: { type: 'string' }, address_base58: { type: 'string', nullable: true } }
+                      },
+                      ref('StatusResult')
+                    ]
+                  }
+                }
+              }
+            }
+          }),
+          ...readErrors
+        }
+      }
+    },
+    '/blacklist/verify-onchain': {
+      post: {
+        operationId: 'verifyOnchain',
+        tags: ['blacklist'],
+        summary: 'Current on-chain status of up to 1000 EVM or 100 TRON addresses, read from the token contracts',
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['addresses'],
+                additionalProperties: false,
+                properties: {
+                  addresses: { type: 'array', minItems: 1, maxItems: 1000, items: ref('Address') },
+                  network: {
+                    allOf: [ref('Network')],
+                    description: 'Default TRON when the first address is a TRON address, else ETHEREUM'
+                  },
+                  token: { allOf: [ref('Token')], description: 'Only check this token; default every token of the network' }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: jsonResponse('Status per address and token', {
+            type: 'object',
+            properties: {
+              network: ref('Network'),
+              block_number: {
+                type: 'integer',
+                description: 'Block the status was read at (EVM), or the head when the reads started (TRON)'
+              },
+              results: {
+                type: 'object',
+                description: 'Keyed by the requested address',
+                additionalProperties: {
+                  type: 'object',
+                  properties: {
+                    address: { type: 'string' },
+                    address_base58: { type: 'string', nullable: true },
+                    clean: {
+                      type: 'boolean',
+                      nullable: true,
+                      description: 'true when no token blacklists the address, null when a lookup failed'
+                    },
+                    tokens: {
+                      type: 'array',
+                      items: {
+                        type: 'object',
+                        properties: {
+                          token: ref('Token'),
+                          is_blacklisted: { type: 'boolean', nullable: true }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }),
+          ...readErrors,
+          503: errorResponse('No RPC endpoint configured or the on-chain lookup failed')
+        }
+      }
+    },
+    '/stats': {
+      get: {
+        operationId: 'getStats',
+        tags: ['blacklist'],
+        responses: {
+          200: jsonResponse('Counts per token, sync progress and RPC provider health', {
+            type: 'object',
+            properties: {
+              stats: { type: 'array', items: { type: 'object' } },
+              syncStatus: { type: 'array', items: { type: 'object' } },
+              rpcProviders: { type: 'array', items: { type: 'object' } }
+            }
+          }),
+          ...readErrors
+        }
+      }
+    },
+    '/reconciliation/latest': {
+      get: {
+        operationId: 'getLatestReconciliation',
+        tags: ['blacklist'],
+        responses: {
+          200: jsonResponse('Last finished run comparing stored status with on-chain status', ref('ReconciliationRun')),
+          404: errorResponse('No reconciliation run has finished yet'),
+          ...readErrors
+        }
+      }
+    },
+    '/export': {
+      get: {
+        operationId: 'exportBlacklist',
+        tags: ['blacklist'],
+        parameters: [
+          networkQuery,
+          tokenQuery,
+          { name: 'format', in: 'query', schema: { type: 'string', enum: ['json', 'csv'], default: 'json' } },
+          atBlockQuery,
+          atTimeQuery
+        ],
+        responses: {
+          200: {
+            description: 'All addresses blacklisted now, or at the given block or time',
+            content: {
+              'application/json': { schema: { type: 'array', items: ref('BlacklistEntry') } },
+              'text/csv': { schema: { type: 'string' } }
+            }
+          },
+          ...readErrors
+        }
+      }
+    },
+    '/webhooks': {
+      post: {
+        operationId: 'createWebhook',
+        tags: ['webhooks'],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['url'],
+                additionalProperties: false,
+                properties: {
+                  url: { type: 'string', minLength: 1 },
+                  tokens: { type: 'array', minItems: 1, items: ref('Token'), nullable: true },
+                  networks: { type: 'array', minItems: 1, items: ref('Network'), nullable: true }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          201: jsonResponse('Created webhook; the signing secret is only returned here', {
+            allOf: [ref('Webhook'), { type: 'object', properties: { secret: { type: 'string' } } }]
+          }),
+          ...readErrors
+        }
+      },
+      get: {
+        operationId: 'listWebhooks',
+        tags: ['webhooks'],
+        responses: { 200: jsonResponse('Registered webhooks', listOf(ref('Webhook'))), ...readErrors }
+      }
+    },
+    '/webhooks/{id}': {
+      delete: {
+        operationId: 'deleteWebhook',
+        tags: ['webhooks'],
+        parameters: [idPath],
+        responses: { 204: { description: 'Deleted' }, 404: errorResponse('Webhook not found'), ...readErrors }
+      }
+    },
+    '/webhooks/deliveries/dead': {
+      get: {
+        operationId: 'listDeadDeliveries',
+        tags: ['webhooks'],
+        parameters: [
+          { name: 'webhook_id', in: 'query', schema: { type: 'integer', minimum: 1 } },
+          { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 1000, default: 100 } }
+        ],
+        responses: { 200: jsonResponse('Deliveries that exhausted their retries', listOf(ref('WebhookDelivery'))), ...readErrors }
+      }
+    },
+    '/webhooks/deliveries/{id}/retry': {
+      post: {
+        operationId: 'retryDelivery',
+        tags: ['webhooks'],
+        parameters: [idPath],
+        responses: {
+          200: jsonResponse('Delivery requeued', {
+            type: 'object',
+            properties: { id: { type: 'integer' }, status: { type: 'string' } }
+          }),
+          404: errorResponse('Dead delivery not found'),
+          ...readErrors
+        }
+      }
+    },
+    '/admin/keys': {
+      post: {
+        operationId: 'createApiKey',
+        tags: ['admin'],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['name'],
+                additionalProperties: false,
+                properties: {
+                  name: { type: 'string', minLength: 1, pattern: '\\S' },
+                  scopes: {
+                    description: 'Array of scopes or a comma-separated string; admin implies read',
+                    oneOf: [
+                      { type: 'string' },
+                      { type: 'array', minItems: 1, items: { type: 'string', enum: API_SCOPES } }
+                    ],
+                    default: 'read'
+                  },
+                  rate_limit_per_minute: { type: 'integer', minimum: 1, nullable: true },
+                  daily_quota: { type: 'integer', minimum: 1, nullable: true }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          201: jsonResponse('Created key; the key itself is only returned here', {
+            allOf: [ref('ApiKey'), { type: 'object', properties: { key: { type: 'string' } } }]
+          }),
+          ...readErrors
+        }
+      },
+      get: {
+        operationId: 'listApiKeys',
+        tags: ['admin'],
+        responses: { 200: jsonResponse('API keys with today\'s usage', listOf(ref('ApiKey'))), ...readErrors }
+      }
+    },
+    '/admin/keys/{id}': {
+      delete: {
+        operationId: 'revokeApiKey',
+        tags: ['admin'],
+        parameters: [idPath],
+        responses: { 204: { description: 'Revoked' }, 404: errorResponse('Active API key not found'), ...readErrors }
+      }
+    }
+  };
+}
+
+// OpenAPI 3.0 description of the HTTP API; enums follow the token registry
+export function buildSpec() {
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Blockchain Blacklist Harvester API',
+      version: '1.0.0',
+      description: 'Blacklist status of USDT and USDC addresses harvested from EVM chains and TRON'
+    },
+    security: [{ bearerAuth: [] }, { apiKeyHeader: [] }],
+    tags: [
+      { name: 'system' },
+      { name: 'blacklist', description: 'Requires the read scope when authentication is enabled' },
+      { name: 'webhooks', description: 'Requires the admin scope; unavailable when authentication is disabled' },
+      { name: 'admin', description: 'Requires the admin scope; unavailable when authentication is disabled' }
+    ],
+    paths: buildPaths(),
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer' },
+        apiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+      },
+      schemas: buildSchemas()
+    }
+  };
+}
+
+const spec = buildSpec();
+
+export default spec;
@@ -2,72 +2,226 @@ import express from 'express';
 import dotenv from 'dotenv';
 import database from '../database.js';
 import logger from '../logger.js';
+import { sortEvents, buildFrozenPeriods, isPending } from '../utils/history.js';
+import { toISOString } from '../utils/timestamp.js';
+import { getTokens, getToken, getNetwork, getRpcUrl } from '../registry.js';
+import { formatUnits } from '../utils/bigint.js';
+import WebhookDispatcher, { generateSecret } from '../webhooks/dispatcher.js';
+import { authenticate, requireScope, generateApiKey, parseScopes } from './auth.js';
+import { API_SCOPES } from '../constants.js';
+import { getMetrics, register, httpDuration } from '../metrics.js';
+import spec from './openapi.js';
+import { validateRequest } from './validation.js';
+import { sendError } from './errors.js';
+import { describeAddress, formatAddress, detectNetworkType, addressMatchesNetwork } from '../utils/address.js';
+import { handleSseStream, attachWebSocketStream } from './stream.js';
+import Validator from '../utils/validate.js';
 
 dotenv.config();
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Keeps one RPC provider pool per network across on-chain verification requests
+const validator = new Validator();
+
 // Middleware
 app.use(express.json());
 app.use((req, res, next) => {
-  logger.info(`${req.method} ${req.path}`, { query: req.query, body: req.body });
+  const query = req.query.api_key ? { ...req.query, api_key: '[redacted]' } : req.query;
+  logger.info(`${req.method} ${req.path}`, { query, body: req.body });
+  next();
+});
+
+// Route pattern for the latency label. Responses sent before routing (401/403/429 from the auth
+// middleware, 400 from request validation) have no req.route, so their path is matched against
+// the app's routes instead
+function routeLabel(req) {
+  if (req.route) {
+    return req.baseUrl + req.route.path;
+  }
+
+  // A middleware mounted on a prefix leaves req.path stripped if it answers without calling next()
+  const path = req.originalUrl.split('?')[0];
+  const method = req.method === 'HEAD' ? 'get' : req.method.toLowerCase();
+  const layer = app._router.stack.find(l => l.route?.methods[method] && l.regexp.test(path));
+  return layer ? layer.route.path : 'unmatched';
+}
+
+// Request latency by matched route pattern, so per-address paths don't explode label cardinality
+app.use((req, res, next) => {
+  const end = httpDuration.startTimer();
+  res.on('finish', () => {
+    const route = routeLabel(req);
+    end({ method: req.method, route, status: res.statusCode });
+  });
   next();
 });
 
+// API keys (enabled with API_AUTH_ENABLED=true): read scope for data routes, admin for management;
+// admin routes are refused outright while authentication is off
+app.use(authenticate);
+app.use(['/blacklist', '/stats', '/export', '/reconciliation'], requireScope('read'));
+app.use(['/webhooks', '/admin'], requireScope('admin'));
+
+// Reject requests that don't match the OpenAPI document before they reach a handler
+const validate = validateRequest(spec);
+app.use(validate);
+
+// Destroyed-funds events of one token/network, with the amount in base units and formatted when decimals are known
+function summarizeDestroyedFunds(rows, token, network) {
+  const decimals = getToken(network, token)?.decimals ?? null;
+  const events = rows.filter(r => r.token === token && r.network === network);
+  const total = events.reduce((sum, r) => sum + BigInt(r.amount), 0n);
+
+  return {
+    total_destroyed: total.toString(),
+    total_destroyed_formatted: decimals === null ? null : formatUnits(total, decimals),
+    destroyed_funds: events.map(r => ({
+      amount: r.amount,
+      block_number: r.block_number,
+      transaction_hash: r.transaction_hash,
+      timestamp: r.timestamp
+    }))
+  };
+}
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
-// Get blacklist status for a specific address
+// OpenAPI 3 document describing every route, used by client SDK generators
+app.get('/openapi.json', (req, res) => {
+  res.json(spec);
+});
+
+// Prometheus scrape endpoint
+app.get('/metrics', async (req, res) => {
+  try {
+    res.set('Content-Type', register.contentType);
+    res.send(await getMetrics());
+  } catch (error) {
+    logger.error('Error collecting metrics:', error);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+// Push blacklist changes as they are written; the same path accepts WebSocket upgrades
+app.get('/blacklist/stream', handleSseStream);
+
+// Point in time requested with at_block / at_time (validated against the spec), null for the current state
+function parseAsOf({ at_block: atBlock, at_time: atTime }) {
+  if (atBlock !== undefined) {
+    return { block: atBlock };
+  }
+  if (atTime !== undefined) {
+    return { time: Date.parse(atTime) };
+  }
+  return null;
+}
+
+function formatAsOf(asOf) {
+  return {
+    block_number: asOf.block ?? null,
+    time: asOf.time !== undefined ? new Date(asOf.time).toISOString() : null
+  };
+}
+
+// Get blacklist status for a specific address, currently or as of a past block or time
 app.get('/blacklist/check/:address', async (req, res) => {
   try {
     const { address } = req.params;
     const { token, network } = req.query;
+    const asOf = parseAsOf(req.query);
 
-    const results = await database.getBlacklistStatus(address, token, network);
+    const results = await database.getBlacklistStatus(address, token, network, asOf);
+    const destroyedFunds = await database.getDestroyedFunds(address, token, network, asOf);
+    const confirmedBlocks = await database.getConfirmedBlocks();
     
     const response = {
-      address: address.toLowerCase(),
+      ...describeAddress(address, network),
+      ...(asOf && { as_of: formatAsOf(asOf) }),
       results: results.map(r => ({
         token: r.token,
         network: r.network,
         is_blacklisted: Boolean(r.is_blacklisted),
+        pending: isPending(r, confirmedBlocks),
         block_number: r.block_number,
         timestamp: r.timestamp,
-        last_updated: r.last_updated
+        last_updated: r.last_updated,
+        ...summarizeDestroyedFunds(destroyedFunds, r.token, r.network)
       }))
     };
 
     res.json(response);
   } catch (error) {
     logger.error('Error checking blacklist status:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+// Get the full blacklist/unblacklist timeline for an address
+app.get('/blacklist/history/:address', async (req, res) => {
+  try {
+    const { address } = req.params;
+    const { token, network } = req.query;
+
+    const events = await database.getBlacklistHistory(address, token, network);
+    const destroyedFunds = await database.getDestroyedFunds(address, token, network);
+    const confirmedBlocks = await database.getConfirmedBlocks();
+
+    res.json({
+      ...describeAddress(address, network),
+      events: sortEvents(events).map(e => ({
+        token: e.token,
+        network: e.network,
+        event_name: e.event_name,
+        direction: e.direction,
+        pending: isPending(e, confirmedBlocks),
+        block_number: e.block_number,
+        transaction_hash: e.transaction_hash,
+        log_index: e.log_index,
+        timestamp: e.timestamp,
+        time: toISOString(e.timestamp, e.network)
+      })),
+      frozen_periods: buildFrozenPeriods(events),
+      destroyed_funds: sortEvents(destroyedFunds).map(r => ({
+        token: r.token,
+        network: r.network,
+        amount: r.amount,
+        block_number: r.block_number,
+        transaction_hash: r.transaction_hash,
+        timestamp: r.timestamp,
+        time: toISOString(r.timestamp, r.network)
+      }))
+    });
+  } catch (error) {
+    logger.error('Error getting blacklist history:', error);
+    sendError(res, 500, 'Internal server error');
   }
 });
 
 // Get all blacklisted addresses
 app.get('/blacklist', async (req, res) => {
   try {
-    const { network, token, limit = 1000, offset = 0 } = req.query;
+    const { network, token, limit, offset } = req.query;
 
     const results = await database.getAllBlacklisted(network, token);
+    const confirmedBlocks = await database.getConfirmedBlocks();
     
     // Apply pagination
-    const paginatedResults = results.slice(
-      parseInt(offset), 
-      parseInt(offset) + parseInt(limit)
-    );
+    const paginatedResults = results.slice(offset, offset + limit);
 
     res.json({
       total: results.length,
-      limit: parseInt(limit),
-      offset: parseInt(offset),
+      limit,
+      offset,
       data: paginatedResults.map(r => ({
-        address: r.address,
+        ...formatAddress(r.address, r.network),
         token: r.token,
         network: r.network,
+        pending: isPending(r, confirmedBlocks),
         block_number: r.block_number,
         timestamp: r.timestamp,
         last_updated: r.last_updated
@@ -75,7 +229,7 @@ app.get('/blacklist', async (req, res) => {
     });
   } catch (error) {
     logger.error('Error getting blacklist:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    sendError(res, 500, 'Internal server error');
   }
 });
 
@@ -83,10 +237,40 @@ app.get('/blacklist', async (req, res) => {
 app.get('/stats', async (req, res) => {
   try {
     const stats = await database.getStats();
+
+    // Report every configured token, including ones without any entries yet
+    for (const { network, token } of getTokens()) {
+      if (!stats.stats.some(s => s.network === network && s.token === token)) {
+        stats.stats.push({
+          network, token, blacklisted_count: 0, total_count: 0, destroyed_count: 0, total_destroyed: '0'
+        });
+      }
+    }
+
+    for (const row of stats.stats) {
+      const decimals = getToken(row.network, row.token)?.decimals ?? null;
+      row.total_destroyed_formatted = decimals === null ? null : formatUnits(row.total_destroyed, decimals);
+    }
+
     res.json(stats);
   } catch (error) {
     logger.error('Error getting stats:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+// Report of the last finished reconciliation run
+app.get('/reconciliation/latest', async (req, res) => {
+  try {
+    const run = await database.getLatestReconciliationRun();
+    if (!run) {
+      return sendError(res, 404, 'No reconciliation run has finished yet');
+    }
+
+    res.json(run);
+  } catch (error) {
+    logger.error('Error getting reconciliation report:', error);
+    sendError(res, 500, 'Internal server error');
   }
 });
 
@@ -94,47 +278,90 @@ app.get('/stats', async (req, res) => {
 app.post('/blacklist/check-batch', async (req, res) => {
   try {
     const { addresses, token, network } = req.body;
-
-    if (!Array.isArray(addresses) || addresses.length === 0) {
-      return res.status(400).json({ error: 'Invalid addresses array' });
-    }
-
-    if (addresses.length > 100) {
-      return res.status(400).json({ error: 'Maximum 100 addresses per batch' });
-    }
+    const asOf = parseAsOf(req.body);
 
     const results = {};
+    const confirmedBlocks = await database.getConfirmedBlocks();
     
     for (const address of addresses) {
-      const status = await database.getBlacklistStatus(address, token, network);
-      results[address.toLowerCase()] = status.map(r => ({
+      const status = await database.getBlacklistStatus(address, token, network, asOf);
+      // Base58 keys are case-sensitive, hex keys are lowercased as before
+      const key = /^(0x|41)/i.test(address) ? address.toLowerCase() : address;
+      results[key] = status.map(r => ({
+        ...formatAddress(r.address, r.network),
         token: r.token,
         network: r.network,
         is_blacklisted: Boolean(r.is_blacklisted),
+        pending: isPending(r, confirmedBlocks),
         block_number: r.block_number,
         timestamp: r.timestamp
       }));
     }
 
-    res.json({ results });
+    res.json({ ...(asOf && { as_of: formatAsOf(asOf) }), results });
   } catch (error) {
     logger.error('Error in batch check:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+// TRON statuses are read one address at a time, so TRON batches are kept smaller
+const TRON_VERIFY_LIMIT = 100;
+
+// Read the current on-chain status of a batch of addresses straight from the token contracts
+app.post('/blacklist/verify-onchain', async (req, res) => {
+  try {
+    const { addresses, token } = req.body;
+    // Without a network, the first address's format decides between TRON and Ethereum
+    const network = req.body.network || (detectNetworkType(addresses[0]) === 'tron' ? 'TRON' : 'ETHEREUM');
+    const type = getNetwork(network)?.type;
+
+    const invalid = addresses.filter(address => !addressMatchesNetwork(address, network));
+    if (invalid.length > 0) {
+      return sendError(res, 400, 'Invalid request', invalid.map(address => ({
+        location: 'body', field: 'addresses', message: `${address} is not a ${network} address`
+      })));
+    }
+    if (type === 'tron' && addresses.length > TRON_VERIFY_LIMIT) {
+      return sendError(res, 400, `At most ${TRON_VERIFY_LIMIT} TRON addresses can be verified per request`);
+    }
+    if (type === 'evm' && !getRpcUrl(network)) {
+      return sendError(res, 503, `No RPC URL configured for ${network}`);
+    }
+    if (!getTokens(network).some(t => t.statusMethod && (!token || t.token === token))) {
+      return sendError(res, 400, `No token with an on-chain status view on ${network}${token ? ` matches ${token}` : ''}`);
+    }
+
+    let result;
+    try {
+      result = await validator.verifyAddresses([...new Set(addresses)], network, token ?? null);
+    } catch (error) {
+      logger.error(`Error verifying ${network} addresses on-chain:`, error);
+      return sendError(res, 503, 'On-chain lookup failed');
+    }
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Error in on-chain verification:', error);
+    sendError(res, 500, 'Internal server error');
   }
 });
 
-// Export blacklist data
+// Export blacklist data, currently or as a snapshot at a past block or time
 app.get('/export', async (req, res) => {
   try {
-    const { network, token, format = 'json' } = req.query;
+    const { network, token, format } = req.query;
+    const asOf = parseAsOf(req.query);
 
-    const results = await database.getAllBlacklisted(network, token);
+    const confirmedBlocks = await database.getConfirmedBlocks();
+    const results = (await database.getAllBlacklisted(network, token, asOf))
+      .map(r => ({ ...r, ...formatAddress(r.address, r.network), pending: isPending(r, confirmedBlocks) }));
 
     if (format === 'csv') {
       const csv = [
-        'address,token,network,block_number,timestamp',
+        'address,address_base58,token,network,block_number,timestamp,pending',
         ...results.map(r => 
-          `${r.address},${r.token},${r.network},${r.block_number},${r.timestamp}`
+          `${r.address},${r.address_base58 ?? ''},${r.token},${r.network},${r.block_number},${r.timestamp},${r.pending}`
         )
       ].join('\n');
 
@@ -146,25 +373,193 @@ app.get('/export', async (req, res) => {
     }
   } catch (error) {
     logger.error('Error exporting data:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+function formatWebhook(webhook) {
+  return {
+    id: webhook.id,
+    url: webhook.url,
+    tokens: webhook.tokens ? JSON.parse(webhook.tokens) : null,
+    networks: webhook.networks ? JSON.parse(webhook.networks) : null,
+    active: Boolean(webhook.active),
+    created_at: webhook.created_at
+  };
+}
+
+// Register a webhook; the signing secret is only returned in this response
+app.post('/webhooks', async (req, res) => {
+  try {
+    const { url, tokens, networks } = req.body;
+
+    let parsedUrl;
+    try {
+      parsedUrl = new URL(url);
+    } catch {
+      return sendError(res, 400, 'Invalid webhook url');
+    }
+
+    if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
+      return sendError(res, 400, 'Webhook url must use http or https');
+    }
+
+    const secret = generateSecret();
+    const webhook = await database.createWebhook({ url, secret, tokens, networks });
+
+    res.status(201).json({ ...formatWebhook(webhook), secret });
+  } catch (error) {
+    logger.error('Error creating webhook:', error);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+app.get('/webhooks', async (req, res) => {
+  try {
+    const webhooks = await database.getWebhooks();
+    res.json({ data: webhooks.map(formatWebhook) });
+  } catch (error) {
+    logger.error('Error listing webhooks:', error);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+app.delete('/webhooks/:id', async (req, res) => {
+  try {
+    const deleted = await database.deleteWebhook(parseInt(req.params.id));
+    if (!deleted) {
+      return sendError(res, 404, 'Webhook not found');
+    }
+    res.status(204).end();
+  } catch (error) {
+    logger.error('Error deleting webhook:', error);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+// Dead-letter view: deliveries that exhausted their retries
+app.get('/webhooks/deliveries/dead', async (req, res) => {
+  try {
+    const { webhook_id, limit } = req.query;
+    const deliveries = await database.getDeadWebhookDeliveries(webhook_id ?? null, limit);
+
+    res.json({
+      data: deliveries.map(d => ({
+        id: d.id,
+        webhook_id: d.webhook_id,
+        event_type: d.event_type,
+        payload: JSON.parse(d.payload),
+        attempts: d.attempts,
+        last_error: d.last_error,
+        last_status_code: d.last_status_code,
+        created_at: d.created_at
+      }))
+    });
+  } catch (error) {
+    logger.error('Error listing dead webhook deliveries:', error);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+app.post('/webhooks/deliveries/:id/retry', async (req, res) => {
+  try {
+    const requeued = await database.retryWebhookDelivery(parseInt(req.params.id));
+    if (!requeued) {
+      return sendError(res, 404, 'Dead delivery not found');
+    }
+    res.json({ id: parseInt(req.params.id), status: 'pending' });
+  } catch (error) {
+    logger.error('Error retrying webhook delivery:', error);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+function formatApiKey(apiKey) {
+  return {
+    id: apiKey.id,
+    name: apiKey.name,
+    key_prefix: apiKey.key_prefix,
+    scopes: apiKey.scopes.split(','),
+    rate_limit_per_minute: apiKey.rate_limit_per_minute,
+    daily_quota: apiKey.daily_quota,
+    requests_today: apiKey.requests_today,
+    created_at: apiKey.created_at,
+    last_used_at: apiKey.last_used_at,
+    revoked_at: apiKey.revoked_at
+  };
+}
+
+// Create an API key; the key itself is only returned in this response
+app.post('/admin/keys', async (req, res) => {
+  try {
+    const { name, scopes = 'read', rate_limit_per_minute, daily_quota } = req.body;
+
+    const parsedScopes = parseScopes(Array.isArray(scopes) ? scopes.join(',') : String(scopes));
+    if (parsedScopes.length === 0 || !parsedScopes.every(scope => API_SCOPES.includes(scope))) {
+      return sendError(res, 400, `scopes must be a subset of: ${API_SCOPES.join(', ')}`);
+    }
+
+    const { key, keyPrefix, keyHash } = generateApiKey();
+    const apiKey = await database.createApiKey({
+      name: name.trim(),
+      keyPrefix,
+      keyHash,
+      scopes: parsedScopes,
+      rateLimitPerMinute: rate_limit_per_minute ?? null,
+      dailyQuota: daily_quota ?? null
+    });
+
+    res.status(201).json({ ...formatApiKey(apiKey), key });
+  } catch (error) {
+    logger.error('Error creating API key:', error);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+app.get('/admin/keys', async (req, res) => {
+  try {
+    const apiKeys = await database.getApiKeys();
+    res.json({ data: apiKeys.map(formatApiKey) });
+  } catch (error) {
+    logger.error('Error listing API keys:', error);
+    sendError(res, 500, 'Internal server error');
+  }
+});
+
+app.delete('/admin/keys/:id', async (req, res) => {
+  try {
+    const revoked = await database.revokeApiKey(parseInt(req.params.id));
+    if (!revoked) {
+      return sendError(res, 404, 'Active API key not found');
+    }
+    res.status(204).end();
+  } catch (error) {
+    logger.error('Error revoking API key:', error);
+    sendError(res, 500, 'Internal server error');
   }
 });
 
 // Error handling middleware
 app.use((err, req, res, next) => {
+  // Malformed JSON bodies are rejected by express.json() before validation runs
+  if (err.type === 'entity.parse.failed') {
+    return sendError(res, 400, 'Invalid request', [{ location: 'body', field: 'body', message: 'is not valid JSON' }]);
+  }
   logger.error('Unhandled error:', err);
-  res.status(500).json({ error: 'Internal server error' });
+  sendError(res, 500, 'Internal server error');
 });
 
 // 404 handler
 app.use((req, res) => {
-  res.status(404).json({ error: 'Not found' });
+  sendError(res, 404, 'Not found');
 });
 
 export function startServer() {
-  return app.listen(PORT, () => {
+  const server = app.listen(PORT, () => {
     logger.info(`API server listening on port ${PORT}`);
   });
+  attachWebSocketStream(server, [authenticate, requireScope('read'), validate]);
+  return server;
 }
 
 // If run directly, start the server
@@ -182,6 +577,7 @@ if (isMainModule) {
       logger.info('✅ Database initialized, starting server...');
       console.log('✅ Database initialized, starting server...');
       startServer();
+      new WebhookDispatcher().start();
       logger.info('✅ API server started successfully');
       console.log('✅ API server started successfully');
     })
@@ -0,0 +1,300 @@
+import { WebSocketServer } from 'ws';
+import dotenv from 'dotenv';
+import database from '../database.js';
+import logger from '../logger.js';
+import { isPending } from '../utils/history.js';
+import { toISOString } from '../utils/timestamp.js';
+import { formatAddress } from '../utils/address.js';
+
+dotenv.config();
+
+export const STREAM_PATH = '/blacklist/stream';
+
+const POLL_INTERVAL = parseInt(process.env.STREAM_POLL_INTERVAL_MS || '1000');
+const HEARTBEAT_INTERVAL = parseInt(process.env.STREAM_HEARTBEAT_MS || '15000');
+const REPLAY_PAGE_SIZE = 500;
+
+// `change` is added for a new event, removed when a reorg, a removed log or a resync dropped
+// it, and corrected when reconciliation set the status from the contract
+function formatChange(event, confirmedBlocks) {
+  return {
+    id: event.id,
+    change: event.change_type,
+    direction: event.direction,
+    ...formatAddress(event.address, event.network),
+    token: event.token,
+    network: event.network,
+    event_name: event.event_name,
+    pending: isPending(event, confirmedBlocks),
+    block_number: event.block_number,
+    transaction_hash: event.transaction_hash,
+    log_index: event.log_index,
+    timestamp: event.timestamp,
+    time: toISOString(event.timestamp, event.network)
+  };
+}
+
+function matches(subscriber, event) {
+  return (!subscriber.token || subscriber.token === event.token) &&
+    (!subscriber.network || subscriber.network === event.network);
+}
+
+// Polls blacklist_changes for rows written by any sync process and fans them out to stream
+// subscribers. Change ids are the resume cursor: ids only grow and follow commit order.
+class ChangeFeed {
+  constructor() {
+    this.subscribers = new Set();
+    this.cursor = null;
+    this.timer = null;
+    this.polling = false;
+  }
+
+  // Replays events after the subscriber's cursor, then delivers live events; send(change) is
+  // called in id order without gaps or duplicates
+  async subscribe({ token = null, network = null, cursor = null, send }) {
+    if (this.cursor === null) {
+      this.cursor = await database.getLatestChangeId();
+    }
+
+    const subscriber = { token, network, send, lastId: cursor ?? this.cursor, replaying: cursor !== null };
+    this.subscribers.add(subscriber);
+    this.start();
+
+    try {
+      // Live events are held back while replaying; catch up to the feed cursor until it stops moving
+      while (subscriber.replaying && this.subscribers.has(subscriber)) {
+        const target = this.cursor;
+        const events = await database.getChangesSince(subscriber.lastId, target, {
+          token, network, limit: REPLAY_PAGE_SIZE
+        });
+        const confirmedBlocks = events.length > 0 ? await database.getConfirmedBlocks() : {};
+
+        for (const event of events) {
+          send(formatChange(event, confirmedBlocks));
+          subscriber.lastId = event.id;
+        }
+
+        if (events.length < REPLAY_PAGE_SIZE) {
+          subscriber.lastId = Math.max(subscriber.lastId, target);
+          subscriber.replaying = this.cursor > subscriber.lastId;
+        }
+      }
+    } catch (error) {
+      this.unsubscribe(subscriber);
+      throw error;
+    }
+
+    return subscriber;
+  }
+
+  unsubscribe(subscriber) {
+    this.subscribers.delete(subscriber);
+    if (this.subscribers.size === 0) {
+      this.stop();
+    }
+  }
+
+  start() {
+    if (!this.timer) {
+      this.timer = setInterval(() => this.poll(), POLL_INTERVAL);
+    }
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    // Re-read the latest id on the next subscription instead of replaying the idle period
+    this.cursor = null;
+  }
+
+  async poll() {
+    if (this.polling || this.cursor === null) {
+      return;
+    }
+    this.polling = true;
+
+    try {
+      const latest = await database.getLatestChangeId();
+      while (this.cursor < latest && this.subscribers.size > 0) {
+        const events = await database.getChangesSince(this.cursor, latest, { limit: REPLAY_PAGE_SIZE });
+        if (events.length === 0) {
+          this.cursor = latest;
+          break;
+        }
+
+        const confirmedBlocks = await database.getConfirmedBlocks();
+        this.cursor = events[events.length - 1].id;
+        this.dispatch(events, confirmedBlocks);
+      }
+    } catch (error) {
+      logger.error('Error polling blacklist changes:', error);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  dispatch(events, confirmedBlocks) {
+    for (const subscriber of this.subscribers) {
+      if (subscriber.replaying) {
+        continue;
+      }
+
+      for (const event of events) {
+        if (event.id > subscriber.lastId && matches(subscriber, event)) {
+          subscriber.send(formatChange(event, confirmedBlocks));
+        }
+      }
+      subscriber.lastId = Math.max(subscriber.lastId, events[events.length - 1].id);
+    }
+  }
+}
+
+const changeFeed = new ChangeFeed();
+
+function parseCursor(value) {
+  const cursor = parseInt(value);
+  return Number.isInteger(cursor) && cursor >= 0 ? cursor : null;
+}
+
+// Server-Sent Events: each change is sent with its id so EventSource resumes via Last-Event-ID
+export async function handleSseStream(req, res) {
+  const { token, network } = req.query;
+  const cursor = req.query.cursor ?? parseCursor(req.get('Last-Event-ID'));
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+  let subscriber = null;
+  let closed = false;
+
+  req.on('close', () => {
+    closed = true;
+    clearInterval(heartbeat);
+    if (subscriber) {
+      changeFeed.unsubscribe(subscriber);
+    }
+  });
+
+  try {
+    subscriber = await changeFeed.subscribe({
+      token, network, cursor,
+      send: change => res.write(`id: ${change.id}\ndata: ${JSON.stringify(change)}\n\n`)
+    });
+    if (closed) {
+      changeFeed.unsubscribe(subscriber);
+    }
+  } catch (error) {
+    logger.error('Error starting change stream:', error);
+    clearInterval(heartbeat);
+    res.end();
+  }
+}
+
+// Runs an Express-style middleware against an upgrade request and answers on the raw
+// socket when it rejects; resolves to whether the request may proceed
+function runMiddleware(middleware, req, socket) {
+  return new Promise(resolve => {
+    const headers = {};
+    const res = {
+      statusCode: 200,
+      set(name, value) {
+        headers[name] = value;
+        return res;
+      },
+      status(code) {
+        res.statusCode = code;
+        return res;
+      },
+      json(body) {
+        const payload = JSON.stringify(body);
+        const lines = Object.entries({ ...headers, 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) })
+          .map(([name, value]) => `${name}: ${value}`);
+        socket.end(`HTTP/1.1 ${res.statusCode} ${res.statusCode === 200 ? 'OK' : 'Error'}\r\n${lines.join('\r\n')}\r\n\r\n${payload}`);
+        resolve(false);
+        return res;
+      }
+    };
+
+    Promise.resolve(middleware(req, res, () => resolve(true))).catch(error => {
+      logger.error('Error handling stream upgrade:', error);
+      socket.destroy();
+      resolve(false);
+    });
+  });
+}
+
+/**
+ * Serves the change stream over WebSocket on the same path as the SSE endpoint.
+ * Upgrade requests pass through the given middleware (authentication, validation) first.
+ * @param {Object} server - HTTP server returned by app.listen
+ * @param {Array} middleware - Express-style middleware run before accepting the connection
+ */
+export function attachWebSocketStream(server, middleware) {
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', async (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== STREAM_PATH) {
+      socket.destroy();
+      return;
+    }
+
+    // Give the raw request the Express accessors the middleware relies on
+    req.path = url.pathname;
+    req.query = Object.fromEntries(url.searchParams);
+    req.get = name => req.headers[name.toLowerCase()];
+
+    for (const fn of middleware) {
+      if (!await runMiddleware(fn, req, socket)) {
+        return;
+      }
+    }
+
+    wss.handleUpgrade(req, socket, head, ws => {
+      const { token, network, cursor = null } = req.query;
+      let subscriber = null;
+      let alive = true;
+
+      const heartbeat = setInterval(() => {
+        if (!alive) {
+          return ws.terminate();
+        }
+        alive = false;
+        ws.ping();
+      }, HEARTBEAT_INTERVAL);
+
+      ws.on('pong', () => {
+        alive = true;
+      });
+
+      ws.on('close', () => {
+        clearInterval(heartbeat);
+        if (subscriber) {
+          changeFeed.unsubscribe(subscriber);
+        }
+      });
+
+      changeFeed.subscribe({ token, network, cursor, send: change => ws.send(JSON.stringify(change)) })
+        .then(result => {
+          subscriber = result;
+          if (ws.readyState !== ws.OPEN) {
+            changeFeed.unsubscribe(subscriber);
+          }
+        })
+        .catch(error => {
+          logger.error('Error starting change stream:', error);
+          ws.close(1011, 'Internal server error');
+        });
+    });
+  });
+
+  return wss;
+}
+
+export default changeFeed;
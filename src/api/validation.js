@@ -0,0 +1,198 @@
+import Ajv from 'ajv';
+import { sendError } from './errors.js';
+import { addressMatchesNetwork, detectNetworkType } from '../utils/address.js';
+
+// Path and query values arrive as strings and are coerced to the declared types; JSON bodies are checked as sent
+const paramAjv = new Ajv({ allErrors: true, strict: false, coerceTypes: true, useDefaults: true });
+const bodyAjv = new Ajv({ allErrors: true, strict: false });
+
+// Inline #/components references so each operation compiles to a self-contained schema
+function resolveRefs(schema, spec) {
+  if (Array.isArray(schema)) {
+    return schema.map(item => resolveRefs(item, spec));
+  }
+  if (!schema || typeof schema !== 'object') {
+    return schema;
+  }
+  if (schema.$ref) {
+    const target = schema.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node[key], spec);
+    return resolveRefs(target, spec);
+  }
+  return Object.fromEntries(Object.entries(schema).map(([key, value]) => [key, resolveRefs(value, spec)]));
+}
+
+function parameterSchema(parameters, location, spec) {
+  const params = parameters.filter(p => p.in === location);
+  return {
+    type: 'object',
+    properties: Object.fromEntries(params.map(p => [p.name, resolveRefs(p.schema, spec)])),
+    required: params.filter(p => p.required).map(p => p.name),
+    additionalProperties: false
+  };
+}
+
+function compileOperations(spec) {
+  const operations = [];
+
+  for (const [path, methods] of Object.entries(spec.paths)) {
+    const names = [...path.matchAll(/\{(\w+)\}/g)].map(m => m[1]);
+    const regex = new RegExp('^' + path.replace(/\{\w+\}/g, '([^/]+)') + '$');
+
+    for (const [method, operation] of Object.entries(methods)) {
+      const parameters = operation.parameters || [];
+      const body = operation.requestBody?.content?.['application/json']?.schema;
+
+      operations.push({
+        method: method.toUpperCase(),
+        regex,
+        names,
+        literal: names.length === 0,
+        validatePath: paramAjv.compile(parameterSchema(parameters, 'path', spec)),
+        validateQuery: paramAjv.compile(parameterSchema(parameters, 'query', spec)),
+        validateBody: body ? bodyAjv.compile(resolveRefs(body, spec)) : null
+      });
+    }
+  }
+
+  // Literal paths win over templated ones, e.g. /webhooks/deliveries/dead over /webhooks/{id}
+  return operations.sort((a, b) => b.literal - a.literal);
+}
+
+function toField(error, location) {
+  if (error.keyword === 'required') {
+    return error.params.missingProperty;
+  }
+  if (error.keyword === 'additionalProperties') {
+    return [error.instancePath.slice(1), error.params.additionalProperty].filter(Boolean).join('.');
+  }
+  const field = error.instancePath.slice(1).replace(/\/(\d+)(?=\/|$)/g, '[$1]').replace(/\//g, '.');
+  return field || location;
+}
+
+function toMessage(error) {
+  switch (error.keyword) {
+    case 'additionalProperties':
+      return 'is not allowed';
+    case 'required':
+      return 'is required';
+    case 'pattern':
+      return 'has an invalid format';
+    case 'enum':
+      return `must be one of: ${error.params.allowedValues.join(', ')}`;
+    case 'anyOf':
+    case 'oneOf':
+      return 'does not match any allowed format';
+    default:
+      return error.message;
+  }
+}
+
+// One entry per failing field; errors from inside anyOf/oneOf branches are folded into the combinator's error
+function formatErrors(errors, location) {
+  const combined = new Set(errors
+    .filter(e => e.keyword === 'anyOf' || e.keyword === 'oneOf')
+    .map(e => e.instancePath));
+
+  return errors
+    .filter(e => e.keyword === 'anyOf' || e.keyword === 'oneOf' || !combined.has(e.instancePath))
+    .map(e => ({ location, field: toField(e, location), message: toMessage(e) }));
+}
+
+// Address formats depend on the network and base58 checksums can't be checked by a pattern
+function checkAddress(address, network) {
+  if (network) {
+    return addressMatchesNetwork(address, network) ? null : `is not a valid ${network} address`;
+  }
+  return detectNetworkType(address) ? null : 'is not a valid address';
+}
+
+function checkAddresses(path, query, body) {
+  const details = [];
+  const network = query.network ?? body?.network;
+
+  if (path.address !== undefined) {
+    const message = checkAddress(path.address, network);
+    if (message) {
+      details.push({ location: 'path', field: 'address', message });
+    }
+  }
+
+  (Array.isArray(body?.addresses) ? body.addresses : []).forEach((address, i) => {
+    const message = checkAddress(address, network);
+    if (message) {
+      details.push({ location: 'body', field: `addresses[${i}]`, message });
+    }
+  });
+
+  return details;
+}
+
+// at_block / at_time select a point in time; block numbers only mean something on one network
+function checkPointInTime(query, body) {
+  const location = query.at_block !== undefined || query.at_time !== undefined ? 'query' : 'body';
+  const source = location === 'query' ? query : body ?? {};
+  const details = [];
+
+  if (source.at_block !== undefined && source.at_time !== undefined) {
+    details.push({ location, field: 'at_time', message: 'cannot be combined with at_block' });
+  }
+  if (source.at_block !== undefined && !source.network) {
+    details.push({ location, field: 'network', message: 'is required with at_block' });
+  }
+  if (source.at_time !== undefined && Number.isNaN(Date.parse(source.at_time))) {
+    details.push({ location, field: 'at_time', message: 'is not a valid ISO 8601 date-time' });
+  }
+
+  return details;
+}
+
+/**
+ * Builds middleware that validates path, query and JSON body against the OpenAPI document.
+ * Requests that match no documented operation are passed through untouched.
+ * @param {Object} spec - OpenAPI 3.0 document
+ * @returns {Function} - Express middleware
+ */
+export function validateRequest(spec) {
+  const operations = compileOperations(spec);
+
+  return (req, res, next) => {
+    let match = null;
+    const operation = operations.find(op => op.method === req.method && (match = op.regex.exec(req.path)));
+    if (!operation) {
+      return next();
+    }
+
+    let path;
+    try {
+      path = Object.fromEntries(operation.names.map((name, i) => [name, decodeURIComponent(match[i + 1])]));
+    } catch {
+      return sendError(res, 400, 'Invalid request', [{ location: 'path', field: 'path', message: 'is not valid URI encoding' }]);
+    }
+    const query = { ...req.query };
+    const details = [];
+
+    if (!operation.validatePath(path)) {
+      details.push(...formatErrors(operation.validatePath.errors, 'path'));
+    }
+    if (!operation.validateQuery(query)) {
+      details.push(...formatErrors(operation.validateQuery.errors, 'query'));
+    }
+
+    // express.json() leaves an empty object when no body was sent, so missing fields surface as required errors
+    if (operation.validateBody && !operation.validateBody(req.body ?? {})) {
+      details.push(...formatErrors(operation.validateBody.errors, 'body'));
+    }
+
+    if (details.length === 0) {
+      details.push(...checkAddresses(path, query, req.body), ...checkPointInTime(query, req.body));
+    }
+
+    if (details.length > 0) {
+      return sendError(res, 400, 'Invalid request', details);
+    }
+
+    // Handlers read coerced values with defaults applied
+    req.query = query;
+    next();
+  };
+}
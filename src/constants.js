@@ -1,4 +1,3 @@
-import Web3 from 'web3';
 import dotenv from 'dotenv';
 
 dotenv.config();
@@ -24,74 +23,31 @@ function validateConfig() {
 // Run validation
 validateConfig();
 
-// Contract addresses
-export const CONTRACTS = {
-  ETHEREUM: {
-    USDT: '0xdAC17F958D2ee523a2206206994597C13D831ec7',
-    USDC: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48'
-  },
-  TRON: {
-    USDT: {
-      address: 'TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6t',
-      events: [{
-        eventName: 'AddedBlackList'
-      }, {
-        eventName: 'RemovedBlackList'
-      }]
-    },
-    USDC: {
-      address: 'TEkxiTehnzSmSe2XqrBj4w32RUN966rdz8',
-      events: [{
-        eventName: 'Blacklisted'
-      }, {
-        eventName: 'UnBlacklisted'
-      }]
-    }
-  }
+// Direction of a blacklist event as stored in blacklist_events
+export const DIRECTION = {
+  BLACKLISTED: 'blacklisted',
+  UNBLACKLISTED: 'unblacklisted'
 };
 
-// Event signatures (keccak256 hashes)
-const web3 = new Web3();
-export const EVENTS = {
-  // USDT events
-  ADDED_BLACKLIST: web3.utils.keccak256('AddedBlackList(address)'),
-  REMOVED_BLACKLIST: web3.utils.keccak256('RemovedBlackList(address)'),
-  
-  // USDC events
-  BLACKLISTED: web3.utils.keccak256('Blacklisted(address)'),
-  UNBLACKLISTED: web3.utils.keccak256('UnBlacklisted(address)')
+// Kinds of contract events declared in the token registry
+export const EVENT_TYPE = {
+  STATUS: 'status',
+  DESTROYED_FUNDS: 'destroyed_funds'
 };
 
-// USDT deployment block (to optimize historical sync)
-export const USDT_DEPLOYMENT_BLOCK = 4634748;
-
-// USDC deployment block
-export const USDC_DEPLOYMENT_BLOCK = 6082465;
-
-// Database schema
-export const DB_SCHEMA = `
-  CREATE TABLE IF NOT EXISTS blacklist (
-    address TEXT NOT NULL,
-    token TEXT NOT NULL,
-    network TEXT NOT NULL,
-    is_blacklisted BOOLEAN DEFAULT TRUE,
-    block_number INTEGER,
-    transaction_hash TEXT,
-    timestamp INTEGER,
-    first_seen INTEGER,
-    last_updated INTEGER,
-    PRIMARY KEY (address, token, network)
-  );
+// Kinds of records in the change stream's log (blacklist_changes)
+export const CHANGE_TYPE = {
+  ADDED: 'added',
+  REMOVED: 'removed',
+  CORRECTED: 'corrected'
+};
 
-  CREATE TABLE IF NOT EXISTS sync_status (
-    network TEXT NOT NULL,
-    token TEXT NOT NULL,
-    last_synced_block INTEGER DEFAULT 0,
-    last_sync_timestamp INTEGER,
-    PRIMARY KEY (network, token)
-  );
+// Lifecycle of a queued webhook delivery
+export const DELIVERY_STATUS = {
+  PENDING: 'pending',
+  DELIVERED: 'delivered',
+  DEAD: 'dead'
+};
 
-  CREATE INDEX IF NOT EXISTS idx_blacklist_address ON blacklist(address);
-  CREATE INDEX IF NOT EXISTS idx_blacklist_status ON blacklist(is_blacklisted);
-  CREATE INDEX IF NOT EXISTS idx_blacklist_network_token ON blacklist(network, token);
-`; 
\ No newline at end of file
+// API key scopes; admin implies read
+export const API_SCOPES = ['read', 'admin'];
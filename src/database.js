@@ -1,50 +1,199 @@
-import sqlite3 from 'sqlite3';
-import { open } from 'sqlite';
-import { DB_SCHEMA } from './constants.js';
-import path from 'path';
-import fs from 'fs/promises';
+import { DIRECTION, EVENT_TYPE, DELIVERY_STATUS, CHANGE_TYPE } from './constants.js';
+import { openStorage } from './storage/index.js';
+import { getMigrationStatus, migrate } from './storage/migrations.js';
+import { resolveAddressLookup } from './utils/address.js';
 
 class Database {
   constructor() {
     this.db = null;
   }
 
-  async init(dbPath) {
-    // Ensure directory exists
-    const dir = path.dirname(dbPath);
-    await fs.mkdir(dir, { recursive: true });
+  // Uses PostgreSQL when DATABASE_URL is set, otherwise the SQLite file at dbPath
+  async init(dbPath, databaseUrl = process.env.DATABASE_URL) {
+    this.db = await openStorage({ dbPath, databaseUrl });
 
-    // Open database
-    this.db = await open({
-      filename: dbPath,
-      driver: sqlite3.Database
-    });
+    // Throws when the database was migrated by newer code
+    const { current, latest, pending } = await getMigrationStatus(this.db);
+    if (pending.length > 0) {
+      if (process.env.DB_AUTO_MIGRATE === 'false') {
+        throw new Error(`Database schema is at version ${current}, this code expects ${latest}; run npm run migrate`);
+      }
 
-    // Create tables
-    await this.db.exec(DB_SCHEMA);
-    
-    // Enable foreign keys
-    await this.db.run('PRAGMA foreign_keys = ON');
+      for (const migration of await migrate(this.db)) {
+        console.log(`Applied migration ${migration.label}`);
+      }
+    }
     
-    console.log('Database initialized at:', dbPath);
+    console.log('Database initialized at:', this.db.description);
+  }
+
+  async transaction(fn) {
+    return await this.db.transaction(fn);
   }
 
   async upsertBlacklistEntry(entry) {
-    const {
-      address,
-      token,
-      network,
-      is_blacklisted,
-      block_number,
-      transaction_hash,
-      timestamp
-    } = entry;
+    return await this.batchUpsertBlacklistEntries([entry]);
+  }
+
+  // Record decoded events in blacklist_events (idempotent on tx hash + log index)
+  // and re-derive the current-state blacklist rows they touch. Destroyed-funds
+  // events go to destroyed_funds and do not change the blacklist status.
+  async batchUpsertBlacklistEntries(entries) {
+    return await this.transaction(async () => {
+      const touched = new Map();
+      let inserted = 0;
+
+      for (const entry of entries) {
+        if (entry.event_type === EVENT_TYPE.DESTROYED_FUNDS) {
+          inserted += await this.insertDestroyedFunds(entry) ? 1 : 0;
+          continue;
+        }
+
+        const changed = await this.insertBlacklistEvent(entry);
+        if (changed) {
+          inserted++;
+          const address = entry.address.toLowerCase();
+          touched.set(`${address}|${entry.token}|${entry.network}`, [address, entry.token, entry.network]);
+        }
+      }
+
+      const transitions = [];
+      for (const [address, token, network] of touched.values()) {
+        const transition = await this.refreshBlacklistEntry(address, token, network);
+        if (transition) {
+          transitions.push(transition);
+        }
+      }
+
+      await this.enqueueWebhookDeliveries(transitions);
+
+      return inserted;
+    });
+  }
+
+  async insertBlacklistEvent(entry, table = 'blacklist_events') {
+    const result = await this.db.run(`
+      INSERT INTO ${table} (
+        address, token, network, event_name, direction,
+        block_number, transaction_hash, log_index, timestamp, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(network, token, transaction_hash, log_index) DO NOTHING
+    `, [
+      entry.address.toLowerCase(),
+      entry.token,
+      entry.network,
+      entry.event_name,
+      entry.is_blacklisted ? DIRECTION.BLACKLISTED : DIRECTION.UNBLACKLISTED,
+      entry.block_number,
+      entry.transaction_hash,
+      entry.log_index,
+      entry.timestamp,
+      Date.now()
+    ]);
+
+    if (result.changes > 0 && table === 'blacklist_events') {
+      await this.recordEventChanges(CHANGE_TYPE.ADDED, 'network = ? AND token = ? AND transaction_hash = ? AND log_index = ?', [
+        entry.network, entry.token, entry.transaction_hash, entry.log_index
+      ]);
+    }
+
+    return result.changes > 0;
+  }
+
+  // Append the blacklist_events rows matching `where` to the change stream's log
+  async recordEventChanges(changeType, where, params) {
+    await this.db.run(`
+      INSERT INTO blacklist_changes (
+        change_type, address, token, network, event_name, direction,
+        block_number, transaction_hash, log_index, timestamp, created_at
+      )
+      SELECT
+        ?, address, token, network, event_name, direction,
+        block_number, transaction_hash, log_index, timestamp, ?
+      FROM blacklist_events
+      WHERE ${where}
+      ORDER BY block_number ASC, log_index ASC
+    `, [changeType, Date.now(), ...params]);
+  }
+
+  async insertDestroyedFunds(entry, table = 'destroyed_funds') {
+    const result = await this.db.run(`
+      INSERT INTO ${table} (
+        address, token, network, event_name, amount,
+        block_number, transaction_hash, log_index, timestamp, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(network, token, transaction_hash, log_index) DO NOTHING
+    `, [
+      entry.address.toLowerCase(),
+      entry.token,
+      entry.network,
+      entry.event_name,
+      entry.amount,
+      entry.block_number,
+      entry.transaction_hash,
+      entry.log_index,
+      entry.timestamp,
+      Date.now()
+    ]);
+
+    return result.changes > 0;
+  }
+
+  // Rebuild the blacklist row for one (address, token, network) from its latest event.
+  // Returns the status transition when the blacklisted flag changed, otherwise null.
+  async refreshBlacklistEntry(address, token, network) {
+    const previous = await this.db.get(
+      'SELECT is_blacklisted FROM blacklist WHERE address = ? AND token = ? AND network = ?',
+      [address, token, network]
+    );
+    const wasBlacklisted = Boolean(previous?.is_blacklisted);
+
+    const latestEvent = await this.db.get(`
+      SELECT * FROM blacklist_events
+      WHERE address = ? AND token = ? AND network = ?
+      ORDER BY block_number DESC, log_index DESC
+      LIMIT 1
+    `, [address, token, network]);
+
+    // A reconciliation correction stands until a chain event at a later block supersedes it
+    const correction = await this.db.get(`
+      SELECT * FROM blacklist_corrections
+      WHERE address = ? AND token = ? AND network = ?
+      ORDER BY block_number DESC, id DESC
+      LIMIT 1
+    `, [address, token, network]);
+
+    const latest = correction && (!latestEvent || correction.block_number >= latestEvent.block_number) ? {
+      direction: correction.is_blacklisted ? DIRECTION.BLACKLISTED : DIRECTION.UNBLACKLISTED,
+      block_number: correction.block_number,
+      transaction_hash: null,
+      timestamp: correction.timestamp
+    } : latestEvent;
+
+    if (!latest) {
+      await this.db.run(
+        'DELETE FROM blacklist WHERE address = ? AND token = ? AND network = ?',
+        [address, token, network]
+      );
+
+      // The only freeze was rolled back, so the address is no longer blacklisted
+      return wasBlacklisted ? {
+        type: DIRECTION.UNBLACKLISTED,
+        address,
+        token,
+        network,
+        block_number: null,
+        transaction_hash: null,
+        timestamp: null
+      } : null;
+    }
 
     const now = Date.now();
+    const isBlacklisted = latest.direction === DIRECTION.BLACKLISTED;
 
     await this.db.run(`
       INSERT INTO blacklist (
-        address, token, network, is_blacklisted, 
+        address, token, network, is_blacklisted,
         block_number, transaction_hash, timestamp,
         first_seen, last_updated
       ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
@@ -54,53 +203,198 @@ class Database {
         transaction_hash = excluded.transaction_hash,
         timestamp = excluded.timestamp,
         last_updated = excluded.last_updated
-      WHERE excluded.timestamp > timestamp
     `, [
-      address.toLowerCase(),
+      address,
       token,
       network,
-      is_blacklisted ? 1 : 0,
-      block_number,
-      transaction_hash,
-      timestamp,
+      isBlacklisted ? 1 : 0,
+      latest.block_number,
+      latest.transaction_hash,
+      latest.timestamp,
       now,
       now
     ]);
+
+    if (isBlacklisted === wasBlacklisted) {
+      return null;
+    }
+
+    return {
+      type: latest.direction,
+      address,
+      token,
+      network,
+      block_number: latest.block_number,
+      transaction_hash: latest.transaction_hash,
+      timestamp: latest.timestamp
+    };
   }
 
-  async batchUpsertBlacklistEntries(entries) {
-    const stmt = await this.db.prepare(`
-      INSERT INTO blacklist (
-        address, token, network, is_blacklisted, 
-        block_number, transaction_hash, timestamp,
-        first_seen, last_updated
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-      ON CONFLICT(address, token, network) DO UPDATE SET
-        is_blacklisted = excluded.is_blacklisted,
-        block_number = excluded.block_number,
-        transaction_hash = excluded.transaction_hash,
-        timestamp = excluded.timestamp,
-        last_updated = excluded.last_updated
-      WHERE excluded.timestamp > timestamp
-    `);
+  /**
+   * Record status corrections found by reconciliation and re-derive the blacklist rows they touch.
+   * Webhooks are notified of the resulting status changes.
+   * @param {Array} corrections - { address, token, network, is_blacklisted, block_number, timestamp }
+   * @param {number} runId - Reconciliation run that found them
+   * @returns {Promise<number>} - Status changes caused
+   */
+  async applyBlacklistCorrections(corrections, runId) {
+    return await this.transaction(async () => {
+      const transitions = [];
+      for (const c of corrections) {
+        await this.db.run(`
+          INSERT INTO blacklist_corrections (
+            address, token, network, is_blacklisted, block_number, timestamp, run_id, created_at
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `, [c.address, c.token, c.network, c.is_blacklisted ? 1 : 0, c.block_number, c.timestamp, runId, Date.now()]);
+
+        await this.db.run(`
+          INSERT INTO blacklist_changes (change_type, address, token, network, direction, block_number, timestamp, created_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+          CHANGE_TYPE.CORRECTED,
+          c.address,
+          c.token,
+          c.network,
+          c.is_blacklisted ? DIRECTION.BLACKLISTED : DIRECTION.UNBLACKLISTED,
+          c.block_number,
+          c.timestamp,
+          Date.now()
+        ]);
+
+        const transition = await this.refreshBlacklistEntry(c.address, c.token, c.network);
+        if (transition) {
+          transitions.push(transition);
+        }
+      }
 
+      await this.enqueueWebhookDeliveries(transitions);
+      return transitions.length;
+    });
+  }
+
+  // Queue a delivery for every active webhook whose token/network filters match a transition.
+  // Runs inside the caller's transaction so a committed status change always has its deliveries.
+  async enqueueWebhookDeliveries(transitions) {
+    if (transitions.length === 0) {
+      return;
+    }
+
+    const webhooks = await this.db.all('SELECT id, tokens, networks FROM webhooks WHERE active = 1');
     const now = Date.now();
 
-    for (const entry of entries) {
-      await stmt.run([
-        entry.address.toLowerCase(),
-        entry.token,
-        entry.network,
-        entry.is_blacklisted ? 1 : 0,
-        entry.block_number,
-        entry.transaction_hash,
-        entry.timestamp,
-        now,
-        now
-      ]);
+    for (const transition of transitions) {
+      const payload = JSON.stringify({
+        event: transition.type,
+        created_at: new Date(now).toISOString(),
+        data: transition
+      });
+
+      for (const webhook of webhooks) {
+        const tokens = webhook.tokens ? JSON.parse(webhook.tokens) : null;
+        const networks = webhook.networks ? JSON.parse(webhook.networks) : null;
+
+        if ((tokens && !tokens.includes(transition.token)) ||
+            (networks && !networks.includes(transition.network))) {
+          continue;
+        }
+
+        await this.db.run(`
+          INSERT INTO webhook_deliveries (
+            webhook_id, event_type, payload, status, attempts, next_attempt_at, created_at
+          ) VALUES (?, ?, ?, ?, 0, ?, ?)
+        `, [webhook.id, transition.type, payload, DELIVERY_STATUS.PENDING, now, now]);
+      }
+    }
+  }
+
+  async createWebhook({ url, secret, tokens = null, networks = null }) {
+    const row = await this.db.get(`
+      INSERT INTO webhooks (url, secret, tokens, networks, active, created_at)
+      VALUES (?, ?, ?, ?, 1, ?)
+      RETURNING id
+    `, [
+      url,
+      secret,
+      tokens ? JSON.stringify(tokens) : null,
+      networks ? JSON.stringify(networks) : null,
+      Date.now()
+    ]);
+
+    return await this.getWebhook(row.id);
+  }
+
+  async getWebhook(id) {
+    return await this.db.get('SELECT * FROM webhooks WHERE id = ?', [id]);
+  }
+
+  async getWebhooks() {
+    return await this.db.all('SELECT * FROM webhooks ORDER BY id ASC');
+  }
+
+  async deleteWebhook(id) {
+    await this.db.run('DELETE FROM webhook_deliveries WHERE webhook_id = ?', [id]);
+    const result = await this.db.run('DELETE FROM webhooks WHERE id = ?', [id]);
+    return result.changes > 0;
+  }
+
+  async getDueWebhookDeliveries(now, limit = 50) {
+    return await this.db.all(`
+      SELECT d.*, w.url, w.secret
+      FROM webhook_deliveries d
+      JOIN webhooks w ON w.id = d.webhook_id
+      WHERE d.status = ? AND d.next_attempt_at <= ? AND w.active = 1
+      ORDER BY d.next_attempt_at ASC
+      LIMIT ?
+    `, [DELIVERY_STATUS.PENDING, now, limit]);
+  }
+
+  // Lease a delivery by moving its next attempt forward; only one dispatcher wins the update
+  async claimWebhookDelivery(id, expectedNextAttemptAt, leaseUntil) {
+    const result = await this.db.run(`
+      UPDATE webhook_deliveries SET next_attempt_at = ?
+      WHERE id = ? AND status = ? AND next_attempt_at = ?
+    `, [leaseUntil, id, DELIVERY_STATUS.PENDING, expectedNextAttemptAt]);
+    return result.changes > 0;
+  }
+
+  async markWebhookDelivered(id, attempts, statusCode) {
+    await this.db.run(`
+      UPDATE webhook_deliveries
+      SET status = ?, attempts = ?, last_status_code = ?, last_error = NULL, delivered_at = ?
+      WHERE id = ?
+    `, [DELIVERY_STATUS.DELIVERED, attempts, statusCode, Date.now(), id]);
+  }
+
+  async markWebhookFailed(id, { attempts, status, nextAttemptAt, error, statusCode = null }) {
+    await this.db.run(`
+      UPDATE webhook_deliveries
+      SET status = ?, attempts = ?, next_attempt_at = ?, last_error = ?, last_status_code = ?
+      WHERE id = ?
+    `, [status, attempts, nextAttemptAt, error, statusCode, id]);
+  }
+
+  async getDeadWebhookDeliveries(webhookId = null, limit = 100) {
+    let query = 'SELECT * FROM webhook_deliveries WHERE status = ?';
+    const params = [DELIVERY_STATUS.DEAD];
+
+    if (webhookId) {
+      query += ' AND webhook_id = ?';
+      params.push(webhookId);
     }
 
-    await stmt.finalize();
+    query += ' ORDER BY created_at DESC LIMIT ?';
+    params.push(limit);
+
+    return await this.db.all(query, params);
+  }
+
+  // Put a dead-lettered delivery back into the queue with a fresh attempt budget
+  async retryWebhookDelivery(id) {
+    const result = await this.db.run(`
+      UPDATE webhook_deliveries SET status = ?, attempts = 0, next_attempt_at = ?
+      WHERE id = ? AND status = ?
+    `, [DELIVERY_STATUS.PENDING, Date.now(), id, DELIVERY_STATUS.DEAD]);
+    return result.changes > 0;
   }
 
   async getLastSyncedBlock(network, token) {
@@ -121,9 +415,324 @@ class Database {
     `, [network, token, blockNumber, Date.now()]);
   }
 
-  async getBlacklistStatus(address, token = null, network = null) {
-    let query = 'SELECT * FROM blacklist WHERE address = ?';
-    const params = [address.toLowerCase()];
+  async getTronCursor(token, eventName) {
+    return await this.db.get(
+      'SELECT * FROM tron_sync_cursors WHERE token = ? AND event_name = ?',
+      [token, eventName]
+    );
+  }
+
+  async saveTronCursor(token, eventName, { coveredFrom, coveredTo, rangeStart = null, rangeEnd = null, fingerprint = null }) {
+    await this.db.run(`
+      INSERT INTO tron_sync_cursors (
+        token, event_name, covered_from, covered_to, range_start, range_end, fingerprint, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(token, event_name) DO UPDATE SET
+        covered_from = excluded.covered_from,
+        covered_to = excluded.covered_to,
+        range_start = excluded.range_start,
+        range_end = excluded.range_end,
+        fingerprint = excluded.fingerprint,
+        updated_at = excluded.updated_at
+    `, [token, eventName, coveredFrom, coveredTo, rangeStart, rangeEnd, fingerprint, Date.now()]);
+  }
+
+  // Store one TronGrid page and the cursor pointing past it together, so a crash never
+  // leaves the cursor ahead of the stored events
+  async recordTronPage(entries, token, eventName, cursor) {
+    return await this.transaction(async () => {
+      const inserted = entries.length > 0 ? await this.batchUpsertBlacklistEntries(entries) : 0;
+      await this.saveTronCursor(token, eventName, cursor);
+      return inserted;
+    });
+  }
+
+  // Timestamp range fully covered for each TRON token: the part every event type has been fetched for
+  async getTronCoverage() {
+    return await this.db.all(`
+      SELECT token, MAX(covered_from) AS oldest_timestamp, MIN(covered_to) AS newest_timestamp
+      FROM tron_sync_cursors
+      GROUP BY token
+    `);
+  }
+
+  async updateChainHead(network, headBlock, confirmedBlock) {
+    await this.db.run(`
+      INSERT INTO chain_heads (network, head_block, confirmed_block, updated_at)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT(network) DO UPDATE SET
+        head_block = excluded.head_block,
+        confirmed_block = excluded.confirmed_block,
+        updated_at = excluded.updated_at
+    `, [network, headBlock, confirmedBlock, Date.now()]);
+  }
+
+  // Map of network -> last block considered final; networks without an entry have no pending window
+  async getConfirmedBlocks() {
+    const rows = await this.db.all('SELECT network, confirmed_block FROM chain_heads');
+    return Object.fromEntries(rows.map(r => [r.network, r.confirmed_block]));
+  }
+
+  async recordBlockHashes(network, blocks) {
+    if (blocks.length === 0) {
+      return;
+    }
+
+    await this.transaction(async () => {
+      for (const { number, hash } of blocks) {
+        await this.db.run(`
+          INSERT INTO block_hashes (network, block_number, block_hash)
+          VALUES (?, ?, ?)
+          ON CONFLICT(network, block_number) DO UPDATE SET block_hash = excluded.block_hash
+        `, [network, number, hash]);
+      }
+    });
+  }
+
+  async getBlockHeaders(network, blockNumbers) {
+    const rows = [];
+    // Stay well below the bound-parameter limits of both backends
+    for (let i = 0; i < blockNumbers.length; i += 500) {
+      const batch = blockNumbers.slice(i, i + 500);
+      rows.push(...await this.db.all(`
+        SELECT block_number, block_hash, timestamp FROM block_headers
+        WHERE network = ? AND block_number IN (${batch.map(() => '?').join(', ')})
+      `, [network, ...batch]));
+    }
+    return rows;
+  }
+
+  // Headers fetched from the chain replace stored ones; imported index rows only fill gaps
+  async saveBlockHeaders(network, headers, { replace = true } = {}) {
+    if (headers.length === 0) {
+      return;
+    }
+
+    const conflict = replace ?
+      'DO UPDATE SET block_hash = excluded.block_hash, timestamp = excluded.timestamp' : 'DO NOTHING';
+
+    await this.transaction(async () => {
+      for (const { block_number, block_hash = null, timestamp } of headers) {
+        await this.db.run(`
+          INSERT INTO block_headers (network, block_number, block_hash, timestamp)
+          VALUES (?, ?, ?, ?)
+          ON CONFLICT(network, block_number) ${conflict}
+        `, [network, block_number, block_hash, timestamp]);
+      }
+    });
+  }
+
+  async getBlockHashes(network) {
+    return await this.db.all(
+      'SELECT block_number, block_hash FROM block_hashes WHERE network = ? ORDER BY block_number ASC',
+      [network]
+    );
+  }
+
+  async pruneBlockHashes(network, belowBlock) {
+    await this.db.run(
+      'DELETE FROM block_hashes WHERE network = ? AND block_number < ?',
+      [network, belowBlock]
+    );
+  }
+
+  // Undo everything recorded at or above a reorged block: drop the events, re-derive the
+  // affected blacklist rows and rewind sync_status so the range is fetched again
+  async rollbackFromBlock(network, blockNumber) {
+    return await this.transaction(async () => {
+      const affected = await this.db.all(`
+        SELECT address, token FROM blacklist_events WHERE network = ? AND block_number >= ?
+        UNION
+        SELECT address, token FROM blacklist_corrections WHERE network = ? AND block_number >= ?
+      `, [network, blockNumber, network, blockNumber]);
+
+      await this.recordEventChanges(CHANGE_TYPE.REMOVED, 'network = ? AND block_number >= ?', [network, blockNumber]);
+      const result = await this.db.run(
+        'DELETE FROM blacklist_events WHERE network = ? AND block_number >= ?',
+        [network, blockNumber]
+      );
+
+      // Corrections made at a reorged head are re-checked by the next reconciliation run
+      await this.db.run(
+        'DELETE FROM blacklist_corrections WHERE network = ? AND block_number >= ?',
+        [network, blockNumber]
+      );
+
+      const transitions = [];
+      for (const { address, token } of affected) {
+        const transition = await this.refreshBlacklistEntry(address, token, network);
+        if (transition) {
+          transitions.push(transition);
+        }
+      }
+      await this.enqueueWebhookDeliveries(transitions);
+
+      await this.db.run(
+        'DELETE FROM destroyed_funds WHERE network = ? AND block_number >= ?',
+        [network, blockNumber]
+      );
+
+      await this.db.run(
+        'DELETE FROM block_hashes WHERE network = ? AND block_number >= ?',
+        [network, blockNumber]
+      );
+
+      await this.db.run(
+        'DELETE FROM block_headers WHERE network = ? AND block_number >= ?',
+        [network, blockNumber]
+      );
+
+      await this.db.run(`
+        UPDATE sync_status SET last_synced_block = ?, last_sync_timestamp = ?
+        WHERE network = ? AND last_synced_block >= ?
+      `, [blockNumber - 1, Date.now(), network, blockNumber]);
+
+      return { removedEvents: result.changes, affectedEntries: affected.length };
+    });
+  }
+
+  // Drop a single event that the node reported as removed and re-derive its blacklist row
+  async removeBlacklistEvent(network, token, transactionHash, logIndex) {
+    return await this.transaction(async () => {
+      const destroyed = await this.db.run(`
+        DELETE FROM destroyed_funds
+        WHERE network = ? AND token = ? AND transaction_hash = ? AND log_index = ?
+      `, [network, token, transactionHash, logIndex]);
+
+      if (destroyed.changes > 0) {
+        return true;
+      }
+
+      const event = await this.db.get(`
+        SELECT address FROM blacklist_events
+        WHERE network = ? AND token = ? AND transaction_hash = ? AND log_index = ?
+      `, [network, token, transactionHash, logIndex]);
+
+      if (!event) {
+        return false;
+      }
+
+      await this.recordEventChanges(CHANGE_TYPE.REMOVED, 'network = ? AND token = ? AND transaction_hash = ? AND log_index = ?', [
+        network, token, transactionHash, logIndex
+      ]);
+      await this.db.run(`
+        DELETE FROM blacklist_events
+        WHERE network = ? AND token = ? AND transaction_hash = ? AND log_index = ?
+      `, [network, token, transactionHash, logIndex]);
+
+      const transition = await this.refreshBlacklistEntry(event.address, token, network);
+      await this.enqueueWebhookDeliveries(transition ? [transition] : []);
+      return true;
+    });
+  }
+
+  // Accepts any supported address format (e.g. TRON base58) and limits the lookup to the
+  // networks that format can belong to when no network is given
+  addressFilter(address, token, network) {
+    const lookup = resolveAddressLookup(address, network);
+    let where = 'address = ?';
+    const params = [lookup.address];
+
+    if (token) {
+      where += ' AND token = ?';
+      params.push(token);
+    }
+
+    if (lookup.networks) {
+      where += ` AND network IN (${lookup.networks.map(() => '?').join(', ')})`;
+      params.push(...lookup.networks);
+    }
+
+    return { where, params };
+  }
+
+  // Limits events to a point in time: a block (for one network) or a time in milliseconds,
+  // compared in each network's timestamp unit
+  asOfFilter(asOf) {
+    if (asOf.block !== undefined) {
+      return { where: 'block_number <= ?', params: [asOf.block] };
+    }
+    return {
+      where: "((network = 'TRON' AND timestamp <= ?) OR (network <> 'TRON' AND timestamp <= ?))",
+      params: [asOf.time, Math.floor(asOf.time / 1000)]
+    };
+  }
+
+  // Status rows as of a point in time, rebuilt from the latest event or reconciliation correction
+  // at or before it for each (address, token, network) the same way refreshBlacklistEntry builds
+  // the current rows: a correction wins over the events of its own and earlier blocks
+  async getBlacklistStatesAsOf(where, params, asOf, { blacklistedOnly = false } = {}) {
+    const filter = this.asOfFilter(asOf);
+    const scope = `${where} AND ${filter.where}`;
+    const scopeParams = [...params, ...filter.params];
+    const rows = await this.db.all(`
+      SELECT address, token, network, direction, block_number, transaction_hash, timestamp FROM (
+        SELECT *, ROW_NUMBER() OVER (
+          PARTITION BY address, token, network ORDER BY block_number DESC, corrected DESC, position DESC
+        ) AS rank
+        FROM (
+          SELECT address, token, network, direction, block_number, transaction_hash, timestamp,
+            0 AS corrected, log_index AS position
+          FROM blacklist_events
+          WHERE ${scope}
+          UNION ALL
+          SELECT address, token, network, CASE WHEN is_blacklisted = 1 THEN ? ELSE ? END AS direction,
+            block_number, NULL AS transaction_hash, timestamp, 1 AS corrected, id AS position
+          FROM blacklist_corrections
+          WHERE ${scope}
+        ) timeline
+      ) latest
+      WHERE rank = 1${blacklistedOnly ? ' AND direction = ?' : ''}
+      ORDER BY network, token, address
+    `, [
+      ...scopeParams,
+      DIRECTION.BLACKLISTED,
+      DIRECTION.UNBLACKLISTED,
+      ...scopeParams,
+      ...(blacklistedOnly ? [DIRECTION.BLACKLISTED] : [])
+    ]);
+
+    return rows.map(({ direction, ...row }) => ({ ...row, is_blacklisted: direction === DIRECTION.BLACKLISTED }));
+  }
+
+  async getBlacklistStatus(address, token = null, network = null, asOf = null) {
+    const { where, params } = this.addressFilter(address, token, network);
+    if (asOf) {
+      return await this.getBlacklistStatesAsOf(where, params, asOf);
+    }
+    return await this.db.all(`SELECT * FROM blacklist WHERE ${where}`, params);
+  }
+
+  async getBlacklistHistory(address, token = null, network = null) {
+    const { where, params } = this.addressFilter(address, token, network);
+    return await this.db.all(
+      `SELECT * FROM blacklist_events WHERE ${where} ORDER BY block_number ASC, log_index ASC`,
+      params
+    );
+  }
+
+  async getDestroyedFunds(address, token = null, network = null, asOf = null) {
+    let { where, params } = this.addressFilter(address, token, network);
+    if (asOf) {
+      const filter = this.asOfFilter(asOf);
+      where += ` AND ${filter.where}`;
+      params = [...params, ...filter.params];
+    }
+    return await this.db.all(
+      `SELECT * FROM destroyed_funds WHERE ${where} ORDER BY block_number ASC, log_index ASC`,
+      params
+    );
+  }
+
+  async getLatestChangeId() {
+    const row = await this.db.get('SELECT MAX(id) AS id FROM blacklist_changes');
+    return row.id ?? 0;
+  }
+
+  // Changes with afterId < id <= upToId in write order, used to replay the change stream
+  async getChangesSince(afterId, upToId, { token = null, network = null, limit = 500 } = {}) {
+    let query = 'SELECT * FROM blacklist_changes WHERE id > ? AND id <= ?';
+    const params = [afterId, upToId];
 
     if (token) {
       query += ' AND token = ?';
@@ -135,30 +744,131 @@ class Database {
       params.push(network);
     }
 
+    query += ' ORDER BY id ASC LIMIT ?';
+    params.push(limit);
+
     return await this.db.all(query, params);
   }
 
-  async getAllBlacklisted(network = null, token = null) {
-    let query = 'SELECT * FROM blacklist WHERE is_blacklisted = 1';
+  async createApiKey({ name, keyPrefix, keyHash, scopes, rateLimitPerMinute = null, dailyQuota = null }) {
+    const row = await this.db.get(`
+      INSERT INTO api_keys (name, key_prefix, key_hash, scopes, rate_limit_per_minute, daily_quota, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+      RETURNING id
+    `, [name, keyPrefix, keyHash, scopes.join(','), rateLimitPerMinute, dailyQuota, Date.now()]);
+
+    return await this.db.get('SELECT * FROM api_keys WHERE id = ?', [row.id]);
+  }
+
+  async getApiKeyByHash(keyHash) {
+    return await this.db.get('SELECT * FROM api_keys WHERE key_hash = ?', [keyHash]);
+  }
+
+  async getApiKeys() {
+    return await this.db.all(`
+      SELECT k.*, COALESCE(u.request_count, 0) AS requests_today
+      FROM api_keys k
+      LEFT JOIN api_key_usage u ON u.key_id = k.id AND u.day = ?
+      ORDER BY k.id ASC
+    `, [new Date().toISOString().slice(0, 10)]);
+  }
+
+  async revokeApiKey(id) {
+    const result = await this.db.run(
+      'UPDATE api_keys SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL',
+      [Date.now(), id]
+    );
+    return result.changes > 0;
+  }
+
+  // Count a request against the key's daily usage and return the new total for that UTC day
+  async incrementApiKeyUsage(keyId, day) {
+    const row = await this.db.get(`
+      INSERT INTO api_key_usage (key_id, day, request_count)
+      VALUES (?, ?, 1)
+      ON CONFLICT(key_id, day) DO UPDATE SET request_count = api_key_usage.request_count + 1
+      RETURNING request_count
+    `, [keyId, day]);
+
+    await this.db.run('UPDATE api_keys SET last_used_at = ? WHERE id = ?', [Date.now(), keyId]);
+    return row.request_count;
+  }
+
+  async getAllBlacklisted(network = null, token = null, asOf = null) {
+    let where = '1 = 1';
     const params = [];
 
     if (network) {
-      query += ' AND network = ?';
+      where += ' AND network = ?';
       params.push(network);
     }
 
     if (token) {
-      query += ' AND token = ?';
+      where += ' AND token = ?';
       params.push(token);
     }
 
-    return await this.db.all(query, params);
+    if (asOf) {
+      return await this.getBlacklistStatesAsOf(where, params, asOf, { blacklistedOnly: true });
+    }
+    return await this.db.all(`SELECT * FROM blacklist WHERE is_blacklisted = 1 AND ${where}`, params);
+  }
+
+  // Every address stored on a network, for any token
+  async getKnownAddresses(network) {
+    const rows = await this.db.all('SELECT DISTINCT address FROM blacklist WHERE network = ? ORDER BY address ASC', [network]);
+    return rows.map(row => row.address);
+  }
+
+  // Map of address -> stored status for one token; with atBlock, the status each address had at that block
+  async getBlacklistStatuses(network, token, atBlock = null) {
+    const rows = atBlock === null ?
+      await this.db.all('SELECT address, is_blacklisted FROM blacklist WHERE network = ? AND token = ?', [network, token]) :
+      await this.getBlacklistStatesAsOf('network = ? AND token = ?', [network, token], { block: atBlock });
+    return new Map(rows.map(row => [row.address, Boolean(row.is_blacklisted)]));
   }
 
   async getAllBlacklistEntries(limit = 100) {
     return await this.db.all('SELECT * FROM blacklist ORDER BY last_updated DESC LIMIT ?', [limit]);
   }
 
+  // Replace the stored provider health of one network with the pool's current view
+  async saveRpcProviderStats(network, providers) {
+    await this.transaction(async () => {
+      await this.db.run('DELETE FROM rpc_providers WHERE network = ?', [network]);
+
+      const now = Date.now();
+      for (const p of providers) {
+        await this.db.run(`
+          INSERT INTO rpc_providers (
+            network, position, provider, available, score, latency_ms, error_rate, requests,
+            errors, head_block, lag_blocks, cooldown_until, last_error, updated_at
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+          network, p.position, p.provider, p.available ? 1 : 0, p.score, p.latency_ms, p.error_rate,
+          p.requests, p.errors, p.head_block, p.lag_blocks, p.cooldown_until, p.last_error, now
+        ]);
+      }
+    });
+  }
+
+  async getRpcProviderStats() {
+    const rows = await this.db.all('SELECT * FROM rpc_providers ORDER BY network ASC, position ASC');
+    return rows.map(row => ({ ...row, available: Boolean(row.available) }));
+  }
+
+  async getChainHeads() {
+    return await this.db.all('SELECT * FROM chain_heads');
+  }
+
+  async getEventCounts() {
+    return await this.db.all(`
+      SELECT network, token, COUNT(*) AS count
+      FROM blacklist_events
+      GROUP BY network, token
+    `);
+  }
+
   async getSyncStatus() {
     return await this.db.all('SELECT * FROM sync_status');
   }
@@ -174,24 +884,156 @@ class Database {
       GROUP BY network, token
     `);
 
+    // Amounts are uint256 strings; sum them as BigInt since SQL SUM would lose precision
+    const destroyedRows = await this.db.all('SELECT network, token, amount FROM destroyed_funds');
+    const destroyed = {};
+    for (const { network, token, amount } of destroyedRows) {
+      const key = `${network}|${token}`;
+      destroyed[key] ??= { count: 0, total: 0n };
+      destroyed[key].count++;
+      destroyed[key].total += BigInt(amount);
+    }
+
+    for (const row of stats) {
+      const totals = destroyed[`${row.network}|${row.token}`];
+      row.destroyed_count = totals?.count || 0;
+      row.total_destroyed = (totals?.total || 0n).toString();
+    }
+
     const syncStatus = await this.db.all('SELECT * FROM sync_status');
 
-    return { stats, syncStatus };
+    for (const { token, oldest_timestamp, newest_timestamp } of await this.getTronCoverage()) {
+      const row = syncStatus.find(r => r.network === 'TRON' && r.token === token);
+      if (row) {
+        row.oldest_covered_timestamp = oldest_timestamp;
+        row.newest_covered_timestamp = newest_timestamp;
+      }
+    }
+
+    const rpcProviders = await this.getRpcProviderStats();
+
+    return { stats, syncStatus, rpcProviders };
   }
 
-  async clearBlacklistData(network, token) {
-    const result = await this.db.run(
-      'DELETE FROM blacklist WHERE network = ? AND token = ?',
-      [network, token]
+  async startReconciliationRun(dryRun) {
+    const row = await this.db.get(`
+      INSERT INTO reconciliation_runs (status, dry_run, started_at)
+      VALUES ('running', ?, ?)
+      RETURNING id
+    `, [dryRun ? 1 : 0, Date.now()]);
+    return row.id;
+  }
+
+  async finishReconciliationRun(id, { status, checked, matches, mismatches, healed, errors, report, error = null }) {
+    await this.db.run(`
+      UPDATE reconciliation_runs
+      SET status = ?, checked = ?, matches = ?, mismatches = ?, healed = ?, errors = ?,
+        report = ?, error = ?, finished_at = ?
+      WHERE id = ?
+    `, [status, checked, matches, mismatches, healed, errors, JSON.stringify(report), error, Date.now(), id]);
+  }
+
+  // Most recent run that has finished, with its report parsed
+  async getLatestReconciliationRun() {
+    const row = await this.db.get(
+      'SELECT * FROM reconciliation_runs WHERE finished_at IS NOT NULL ORDER BY id DESC LIMIT 1'
     );
-    
-    console.log(`Cleared ${result.changes} blacklist entries for ${token} on ${network}`);
-    return result.changes;
+    return row ? { ...row, dry_run: Boolean(row.dry_run), report: row.report ? JSON.parse(row.report) : null } : null;
+  }
+
+  // Full resyncs write into the staging tables; anything left over from an interrupted run is dropped first
+  async beginResync(network, token) {
+    await this.abortResync(network, token);
+  }
+
+  async stageResyncEntries(entries) {
+    return await this.transaction(async () => {
+      let staged = 0;
+      for (const entry of entries) {
+        const isDestroyedFunds = entry.event_type === EVENT_TYPE.DESTROYED_FUNDS;
+        const inserted = isDestroyedFunds ?
+          await this.insertDestroyedFunds(entry, 'destroyed_funds_staging') :
+          await this.insertBlacklistEvent(entry, 'blacklist_events_staging');
+        staged += inserted ? 1 : 0;
+      }
+      return staged;
+    });
+  }
+
+  // Swap a completed resync of fromBlock..toBlock into the live tables in one transaction.
+  // Events already stored keep their ids, only real differences are added or removed, and
+  // webhooks fire only for addresses whose status actually changed.
+  async commitResync(network, token, { fromBlock, toBlock }) {
+    return await this.transaction(async () => {
+      const range = [network, token, fromBlock, toBlock];
+
+      // Every current row is re-derived, including ones that predate the event history
+      const affected = await this.db.all(`
+        SELECT address FROM blacklist WHERE network = ? AND token = ?
+        UNION
+        SELECT address FROM blacklist_events_staging WHERE network = ? AND token = ?
+      `, [network, token, network, token]);
+
+      let removed = 0;
+      let added = 0;
+      const { id: lastEventId } = await this.db.get('SELECT COALESCE(MAX(id), 0) AS id FROM blacklist_events');
+      for (const table of ['blacklist_events', 'destroyed_funds']) {
+        const staging = `${table}_staging`;
+        const stale = `network = ? AND token = ? AND block_number >= ? AND block_number <= ?
+            AND (transaction_hash, log_index) NOT IN (
+              SELECT transaction_hash, log_index FROM ${staging} WHERE network = ? AND token = ?
+            )`;
+
+        if (table === 'blacklist_events') {
+          await this.recordEventChanges(CHANGE_TYPE.REMOVED, stale, [...range, network, token]);
+        }
+        const deleted = await this.db.run(`DELETE FROM ${table} WHERE ${stale}`, [...range, network, token]);
+
+        const columns = table === 'destroyed_funds' ? 'amount' : 'direction';
+        const inserted = await this.db.run(`
+          INSERT INTO ${table} (
+            address, token, network, event_name, ${columns},
+            block_number, transaction_hash, log_index, timestamp, created_at
+          )
+          SELECT
+            address, token, network, event_name, ${columns},
+            block_number, transaction_hash, log_index, timestamp, created_at
+          FROM ${staging}
+          WHERE network = ? AND token = ?
+          ORDER BY block_number ASC, log_index ASC
+          ON CONFLICT(network, token, transaction_hash, log_index) DO NOTHING
+        `, [network, token]);
+
+        removed += deleted.changes;
+        added += inserted.changes;
+      }
+      await this.recordEventChanges(CHANGE_TYPE.ADDED, 'network = ? AND token = ? AND id > ?', [network, token, lastEventId]);
+
+      const transitions = [];
+      for (const { address } of affected) {
+        const transition = await this.refreshBlacklistEntry(address, token, network);
+        if (transition) {
+          transitions.push(transition);
+        }
+      }
+      await this.enqueueWebhookDeliveries(transitions);
+
+      await this.abortResync(network, token);
+      await this.updateSyncStatus(network, token, toBlock);
+
+      return { added, removed, transitions: transitions.length };
+    });
+  }
+
+  async abortResync(network, token) {
+    await this.db.run('DELETE FROM blacklist_events_staging WHERE network = ? AND token = ?', [network, token]);
+    await this.db.run('DELETE FROM destroyed_funds_staging WHERE network = ? AND token = ?', [network, token]);
   }
 
   async close() {
     if (this.db) {
       await this.db.close();
+      this.db = null;
     }
   }
 }
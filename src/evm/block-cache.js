@@ -0,0 +1,99 @@
+import dotenv from 'dotenv';
+import database from '../database.js';
+import logger from '../logger.js';
+import { safeToNumber } from '../utils/bigint.js';
+
+dotenv.config();
+
+// Caches the hash and timestamp of blocks that produced events: in memory, then in the
+// block_headers table, then fetched from the RPC pool in JSON-RPC batches
+class BlockHeaderCache {
+  constructor(network, pool) {
+    this.network = network;
+    this.pool = pool;
+    this.maxSize = parseInt(process.env.BLOCK_CACHE_SIZE || '10000');
+    this.batchSize = parseInt(process.env.BLOCK_BATCH_SIZE || '50');
+    this.headers = new Map();
+  }
+
+  remember(header) {
+    this.headers.delete(header.block_number);
+    this.headers.set(header.block_number, header);
+
+    // Maps iterate in insertion order, so the first keys are the least recently stored
+    while (this.headers.size > this.maxSize) {
+      this.headers.delete(this.headers.keys().next().value);
+    }
+  }
+
+  // A cached header is stale when the log came from a different block at that height;
+  // imported index rows have no hash and are trusted
+  matches(header, blockHash) {
+    return Boolean(header) && (!header.block_hash || !blockHash || header.block_hash === blockHash);
+  }
+
+  // Make sure the headers of every log's block are cached, fetching the missing ones in batches
+  async prefetch(logs) {
+    const wanted = new Map();
+    for (const log of logs) {
+      const number = safeToNumber(log.blockNumber);
+      if (!this.matches(this.headers.get(number), log.blockHash)) {
+        wanted.set(number, log.blockHash);
+      }
+    }
+
+    if (wanted.size === 0) {
+      return;
+    }
+
+    for (const header of await database.getBlockHeaders(this.network, [...wanted.keys()])) {
+      if (this.matches(header, wanted.get(header.block_number))) {
+        this.remember(header);
+        wanted.delete(header.block_number);
+      }
+    }
+
+    const missing = [...wanted.keys()];
+    for (let i = 0; i < missing.length; i += this.batchSize) {
+      const numbers = missing.slice(i, i + this.batchSize);
+      const blocks = await this.pool.batch('eth_getBlockByNumber', numbers.map(number => ({
+        method: 'eth_getBlockByNumber',
+        params: ['0x' + number.toString(16), false]
+      })));
+
+      const headers = blocks.map((block, j) => {
+        if (!block) {
+          throw new Error(`${this.network} block ${numbers[j]} not found`);
+        }
+        return {
+          block_number: numbers[j],
+          block_hash: block.hash,
+          timestamp: parseInt(block.timestamp, 16)
+        };
+      });
+
+      await database.saveBlockHeaders(this.network, headers);
+      headers.forEach(header => this.remember(header));
+    }
+
+    if (missing.length > 0) {
+      logger.info(`Fetched ${missing.length} ${this.network} block headers in ${Math.ceil(missing.length / this.batchSize)} batches`);
+    }
+  }
+
+  async getTimestamp(log) {
+    await this.prefetch([log]);
+    return this.headers.get(safeToNumber(log.blockNumber)).timestamp;
+  }
+
+  // Forget everything at or above a reorged block; database.rollbackFromBlock drops the stored rows
+  invalidateFrom(blockNumber) {
+    for (const number of [...this.headers.keys()]) {
+      if (number >= blockNumber) {
+        this.headers.delete(number);
+      }
+    }
+  }
+}
+
+export default BlockHeaderCache;
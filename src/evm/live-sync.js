@@ -0,0 +1,275 @@
+import WebSocket from 'ws';
+import dotenv from 'dotenv';
+import database from '../database.js';
+import logger from '../logger.js';
+import { getTokens } from '../registry.js';
+import { liveSyncConnected, liveSyncReconnects } from '../metrics.js';
+import { redactRpcUrl } from './provider-pool.js';
+
+dotenv.config();
+
+const REQUEST_TIMEOUT = 30000;
+
+/**
+ * Converts the hex quantities of a raw eth_subscribe log to numbers, the shape getPastLogs returns
+ * @param {Object} log - Log from a logs subscription
+ * @returns {Object} - The log with numeric blockNumber, logIndex and transactionIndex
+ */
+export function decodeLog(log) {
+  const quantity = value => (value === undefined || value === null ? value : Number(BigInt(value)));
+  return {
+    ...log,
+    blockNumber: quantity(log.blockNumber),
+    logIndex: quantity(log.logIndex),
+    transactionIndex: quantity(log.transactionIndex)
+  };
+}
+
+// Follows one EVM network over a WebSocket endpoint with eth_subscribe. Every (re)connect
+// subscribes first and then runs the regular getPastLogs sync, so blocks missed while
+// disconnected are backfilled before live events are applied. New heads advance sync_status,
+// but never past a block whose log could not be stored.
+class EvmLiveSync {
+  constructor(sync, url) {
+    this.sync = sync;
+    this.network = sync.network;
+    this.url = url;
+    this.name = redactRpcUrl(url);
+    this.heartbeatInterval = parseInt(process.env.LIVE_HEARTBEAT_MS || '30000');
+    // Reconnect when no new head arrived for this long, even if pings still succeed
+    this.stallTimeout = parseInt(process.env.LIVE_STALL_TIMEOUT_MS || String(Math.max(sync.chain.blockTime * 10000, 60000)));
+    this.reconnectBase = parseInt(process.env.LIVE_RECONNECT_BASE_MS || '1000');
+    this.reconnectMax = parseInt(process.env.LIVE_RECONNECT_MAX_MS || '60000');
+
+    this.ws = null;
+    this.nextId = 1;
+    this.pending = new Map();
+    this.handlers = new Map();
+    this.queue = Promise.resolve();
+    this.attempts = 0;
+    this.stopped = true;
+    this.heartbeat = null;
+    this.reconnectTimer = null;
+    // Lowest block per token whose log failed to apply; sync_status stays below it until a
+    // backfill has re-read the block
+    this.failedBlocks = new Map();
+    this.previousHead = null;
+  }
+
+  start() {
+    this.stopped = false;
+    this.connect();
+  }
+
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.reconnectTimer);
+    this.ws?.terminate();
+  }
+
+  connect() {
+    logger.info(`Connecting ${this.network} live sync to ${this.name}`);
+    const ws = new WebSocket(this.url);
+    this.ws = ws;
+
+    ws.on('open', () => {
+      this.onOpen(ws).catch(error => {
+        logger.error(`${this.network} live sync setup failed: ${error.message}`);
+        ws.terminate();
+      });
+    });
+    ws.on('message', data => this.onMessage(data));
+    ws.on('pong', () => {
+      ws.alive = true;
+    });
+    ws.on('error', error => {
+      logger.warn(`${this.network} live sync WebSocket error: ${String(error.message).replaceAll(this.url, this.name)}`);
+    });
+    ws.on('close', () => this.onClose(ws));
+  }
+
+  // Run tasks one at a time, in arrival order, and only while their connection is current
+  enqueue(ws, task) {
+    this.queue = this.queue
+      .then(() => (ws === this.ws && ws.readyState === WebSocket.OPEN ? task() : null))
+      .catch(error => logger.error(`${this.network} live sync error:`, error));
+  }
+
+  async onOpen(ws) {
+    ws.alive = true;
+    ws.lastHeadAt = Date.now();
+    this.previousHead = null;
+    this.startHeartbeat(ws);
+
+    // Hold live events back until the backfill below has caught up
+    let release;
+    const backfilled = new Promise(resolve => {
+      release = resolve;
+    });
+    this.queue = this.queue.then(() => backfilled);
+
+    try {
+      for (const tokenConfig of getTokens(this.network)) {
+        await this.subscribe(ws, ['logs', {
+          address: tokenConfig.address,
+          topics: [tokenConfig.events.map(e => e.topic)]
+        }], log => this.enqueue(ws, () => this.onLog(ws, decodeLog(log), tokenConfig)));
+      }
+      await this.subscribe(ws, ['newHeads'], head => {
+        ws.lastHeadAt = Date.now();
+        this.enqueue(ws, () => this.onHead(head));
+      });
+
+      logger.info(`${this.network} live sync subscribed, backfilling missed blocks`);
+      await this.sync.syncAll();
+      // The backfill started at or below every failed block, so those events are stored now
+      this.failedBlocks.clear();
+    } finally {
+      release();
+    }
+
+    this.attempts = 0;
+    liveSyncConnected.set({ network: this.network }, 1);
+    logger.info(`${this.network} live sync is following new blocks`);
+  }
+
+  async onLog(ws, log, tokenConfig) {
+    logger.info(`New ${tokenConfig.token} ${this.network} blacklist event in block ${log.blockNumber}`);
+    try {
+      await this.sync.handleLiveEvent(log, tokenConfig);
+    } catch (error) {
+      await this.onLogFailed(ws, log.blockNumber, tokenConfig.token, error);
+    }
+  }
+
+  // A log that couldn't be stored (e.g. its block timestamp couldn't be fetched) must not be
+  // skipped: sync_status is held below its block and the connection is dropped, so the
+  // backfill after reconnecting reads the block again
+  async onLogFailed(ws, blockNumber, token, error) {
+    logger.error(`${this.network} live sync could not store a ${token} event in block ${blockNumber}, reconnecting to backfill:`, error);
+
+    const failed = this.failedBlocks.get(token);
+    this.failedBlocks.set(token, failed === undefined ? blockNumber : Math.min(failed, blockNumber));
+    try {
+      // A head processed before this log may already have moved sync_status past it
+      if (await database.getLastSyncedBlock(this.network, token) >= blockNumber) {
+        await database.updateSyncStatus(this.network, token, blockNumber - 1);
+      }
+    } finally {
+      ws.terminate();
+    }
+  }
+
+  // Logs and heads arrive over separate subscriptions, so a block's logs may still be on their
+  // way when the next head comes in. sync_status advances to the block below the previous head,
+  // giving logs a full block to arrive, and stays below any block whose log failed.
+  async onHead(head) {
+    const number = parseInt(head.number, 16);
+    await this.sync.updateChainHead(number);
+
+    const previous = this.previousHead;
+    this.previousHead = number;
+    if (previous === null) {
+      return;
+    }
+
+    for (const { token } of getTokens(this.network)) {
+      const failed = this.failedBlocks.get(token);
+      const settled = Math.min(previous - 1, failed === undefined ? Infinity : failed - 1);
+      if (await database.getLastSyncedBlock(this.network, token) < settled) {
+        await database.updateSyncStatus(this.network, token, settled);
+      }
+    }
+  }
+
+  subscribe(ws, params, handler) {
+    return this.request(ws, 'eth_subscribe', params).then(id => {
+      this.handlers.set(id, handler);
+    });
+  }
+
+  request(ws, method, params) {
+    return new Promise((resolve, reject) => {
+      const id = this.nextId++;
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error(`${method} timed out`));
+      }, REQUEST_TIMEOUT);
+
+      this.pending.set(id, { resolve, reject, timer });
+      ws.send(JSON.stringify({ jsonrpc: '2.0', id, method, params }));
+    });
+  }
+
+  onMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch {
+      logger.warn(`${this.network} live sync received invalid JSON`);
+      return;
+    }
+
+    if (message.method === 'eth_subscription') {
+      this.handlers.get(message.params?.subscription)?.(message.params.result);
+      return;
+    }
+
+    const request = this.pending.get(message.id);
+    if (request) {
+      this.pending.delete(message.id);
+      clearTimeout(request.timer);
+      if (message.error) {
+        request.reject(new Error(message.error.message));
+      } else {
+        request.resolve(message.result);
+      }
+    }
+  }
+
+  // Ping at a fixed interval; a missed pong or a stalled head feed drops the connection
+  startHeartbeat(ws) {
+    clearInterval(this.heartbeat);
+    this.heartbeat = setInterval(() => {
+      if (!ws.alive) {
+        logger.warn(`${this.network} live sync missed a heartbeat, reconnecting`);
+        return ws.terminate();
+      }
+      if (Date.now() - ws.lastHeadAt > this.stallTimeout) {
+        logger.warn(`${this.network} live sync received no new block for ${this.stallTimeout}ms, reconnecting`);
+        return ws.terminate();
+      }
+      ws.alive = false;
+      ws.ping();
+    }, this.heartbeatInterval);
+  }
+
+  onClose(ws) {
+    if (ws !== this.ws) {
+      return;
+    }
+
+    clearInterval(this.heartbeat);
+    liveSyncConnected.set({ network: this.network }, 0);
+    for (const { reject, timer } of this.pending.values()) {
+      clearTimeout(timer);
+      reject(new Error('WebSocket closed'));
+    }
+    this.pending.clear();
+    this.handlers.clear();
+
+    if (this.stopped) {
+      return;
+    }
+
+    // Exponential backoff with jitter between reconnect attempts
+    this.attempts++;
+    const ceiling = Math.min(this.reconnectBase * 2 ** (this.attempts - 1), this.reconnectMax);
+    const delay = Math.floor(ceiling / 2 + Math.random() * ceiling / 2);
+    liveSyncReconnects.inc({ network: this.network });
+    logger.warn(`${this.network} live sync disconnected, reconnecting in ${delay}ms`);
+    this.reconnectTimer = setTimeout(() => this.connect(), delay);
+  }
+}
+
+export default EvmLiveSync;
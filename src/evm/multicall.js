@@ -0,0 +1,122 @@
+import Web3 from 'web3';
+import dotenv from 'dotenv';
+import logger from '../logger.js';
+import { isRequestError } from './provider-pool.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+
+dotenv.config();
+
+const web3 = new Web3();
+
+const AGGREGATE3_ABI = {
+  name: 'aggregate3',
+  type: 'function',
+  stateMutability: 'payable',
+  inputs: [{
+    name: 'calls',
+    type: 'tuple[]',
+    components: [
+      { name: 'target', type: 'address' },
+      { name: 'allowFailure', type: 'bool' },
+      { name: 'callData', type: 'bytes' }
+    ]
+  }],
+  outputs: [{
+    name: 'returnData',
+    type: 'tuple[]',
+    components: [
+      { name: 'success', type: 'bool' },
+      { name: 'returnData', type: 'bytes' }
+    ]
+  }]
+};
+
+const statusAbi = method => ({
+  name: method,
+  type: 'function',
+  inputs: [{ name: '_address', type: 'address' }],
+  outputs: [{ name: '', type: 'bool' }]
+});
+
+// A reverted status call or a malformed return value counts as unknown
+function decodeStatus(success, returnData) {
+  if (!success || !returnData || returnData.length < 66) {
+    return null;
+  }
+  return Boolean(web3.eth.abi.decodeParameter('bool', returnData));
+}
+
+async function callStatus(pool, contractAddress, callData, block) {
+  try {
+    const result = await pool.call('call', { to: contractAddress, data: callData }, block);
+    return decodeStatus(true, result);
+  } catch (error) {
+    if (isRequestError(error)) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// One aggregate3 call for a batch; a batch that reverts as a whole (e.g. out of gas) is split in half
+async function aggregateBatch(pool, multicallAddress, contractAddress, calls, block) {
+  const data = web3.eth.abi.encodeFunctionCall(AGGREGATE3_ABI, [
+    calls.map(callData => [contractAddress, true, callData])
+  ]);
+
+  try {
+    const result = await pool.call('call', { to: multicallAddress, data }, block);
+    const [returned] = Object.values(web3.eth.abi.decodeParameters(AGGREGATE3_ABI.outputs, result));
+    return returned.map(({ success, returnData }) => decodeStatus(success, returnData));
+  } catch (error) {
+    if (!isRequestError(error)) {
+      throw error;
+    }
+    if (calls.length === 1) {
+      return [null];
+    }
+
+    logger.warn(`Multicall batch of ${calls.length} calls reverted, splitting it: ${error.message}`);
+    const half = Math.ceil(calls.length / 2);
+    return [
+      ...await aggregateBatch(pool, multicallAddress, contractAddress, calls.slice(0, half), block),
+      ...await aggregateBatch(pool, multicallAddress, contractAddress, calls.slice(half), block)
+    ];
+  }
+}
+
+/**
+ * Reads a bool status view such as isBlacklisted(address) for many addresses at one block.
+ * Calls are aggregated through Multicall3 in batches of MULTICALL_BATCH_SIZE, with up to
+ * MULTICALL_CONCURRENCY batches in flight; without a multicall address every address is one eth_call.
+ * @param {ProviderPool} pool - RPC pool of the token's network
+ * @param {Object} options
+ * @param {string} options.contractAddress - Token contract
+ * @param {string} options.method - Status view name from the registry
+ * @param {string[]} options.addresses - 0x-prefixed addresses
+ * @param {number} options.blockNumber - Block to read the state at
+ * @param {string|null} options.multicallAddress - Multicall3 deployment, null to call one by one
+ * @returns {Promise<Map<string, boolean|null>>} - Status per address, null where the call failed
+ */
+export async function getStatuses(pool, { contractAddress, method, addresses, blockNumber, multicallAddress }) {
+  const batchSize = parseInt(process.env.MULTICALL_BATCH_SIZE || '500');
+  const concurrency = parseInt(process.env.MULTICALL_CONCURRENCY || '4');
+  const block = '0x' + blockNumber.toString(16);
+  const abi = statusAbi(method);
+  const calls = addresses.map(address => web3.eth.abi.encodeFunctionCall(abi, [address]));
+
+  let statuses;
+  if (multicallAddress) {
+    const batches = [];
+    for (let i = 0; i < calls.length; i += batchSize) {
+      batches.push(calls.slice(i, i + batchSize));
+    }
+    statuses = (await mapWithConcurrency(batches, concurrency, batch =>
+      aggregateBatch(pool, multicallAddress, contractAddress, batch, block))).flat();
+  } else {
+    statuses = await mapWithConcurrency(calls, concurrency, callData =>
+      callStatus(pool, contractAddress, callData, block));
+  }
+
+  return new Map(addresses.map((address, i) => [address, statuses[i]]));
+}
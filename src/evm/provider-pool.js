@@ -0,0 +1,242 @@
+import Web3 from 'web3';
+import dotenv from 'dotenv';
+import logger from '../logger.js';
+import { safeToNumber } from '../utils/bigint.js';
+import { trackRpc } from '../metrics.js';
+
+dotenv.config();
+
+// Weight of the newest sample in the latency and error-rate moving averages
+const EWMA_WEIGHT = 0.2;
+
+// Failures caused by the request itself; every provider would fail it the same way
+const REQUEST_ERRORS = [
+  'query returned more than',
+  'range is too large',
+  'max is 1k blocks',
+  'execution reverted'
+];
+
+export function isRequestError(error) {
+  return REQUEST_ERRORS.some(pattern => error.message?.includes(pattern));
+}
+
+// Scheme and host only: paths and query strings of RPC URLs often carry API keys
+export function redactRpcUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return `${parsed.protocol}//${parsed.host}${parsed.pathname.length > 1 || parsed.search ? '/***' : ''}`;
+  } catch {
+    return '***';
+  }
+}
+
+// Spreads calls for one EVM network over several RPC endpoints. Each provider is scored on
+// latency, recent error rate and how far its head trails the others; failing providers cool
+// down with exponential backoff and calls fail over to the next best provider.
+class ProviderPool {
+  constructor(network, urls) {
+    if (urls.length === 0) {
+      throw new Error(`No RPC URLs configured for ${network}`);
+    }
+
+    this.network = network;
+    this.cooldown = parseInt(process.env.RPC_COOLDOWN_MS || '30000');
+    this.maxCooldown = parseInt(process.env.RPC_MAX_COOLDOWN_MS || '600000');
+    this.maxLag = parseInt(process.env.RPC_MAX_LAG_BLOCKS || '5');
+    this.providers = urls.map((url, index) => ({
+      index,
+      url,
+      name: redactRpcUrl(url),
+      web3: new Web3(url),
+      requests: 0,
+      errors: 0,
+      consecutiveFailures: 0,
+      latency: null,
+      errorRate: 0,
+      headBlock: null,
+      lag: 0,
+      cooldownUntil: 0,
+      lastError: null
+    }));
+  }
+
+  // Lower is better: smoothed latency, inflated by the error rate and any head lag
+  score(provider) {
+    const latency = provider.latency ?? 0;
+    return latency * (1 + 10 * provider.errorRate) + provider.lag * 1000;
+  }
+
+  isAvailable(provider, now = Date.now()) {
+    return provider.cooldownUntil <= now && provider.lag <= this.maxLag;
+  }
+
+  // Providers in the order they should be tried; ones cooling down or lagging go last
+  ranked() {
+    const now = Date.now();
+    return [...this.providers].sort((a, b) =>
+      (this.isAvailable(b, now) - this.isAvailable(a, now)) ||
+      (this.score(a) - this.score(b)) ||
+      (a.index - b.index)
+    );
+  }
+
+  // The provider currently preferred, e.g. for subscriptions
+  get primary() {
+    return this.ranked()[0];
+  }
+
+  recordSuccess(provider, latency) {
+    provider.requests++;
+    provider.consecutiveFailures = 0;
+    provider.latency = provider.latency === null ? latency : provider.latency + EWMA_WEIGHT * (latency - provider.latency);
+    provider.errorRate += EWMA_WEIGHT * (0 - provider.errorRate);
+  }
+
+  recordFailure(provider, error) {
+    provider.requests++;
+    provider.errors++;
+    provider.consecutiveFailures++;
+    provider.errorRate += EWMA_WEIGHT * (1 - provider.errorRate);
+    // Error messages may quote the full URL
+    provider.lastError = String(error.message).replaceAll(provider.url, provider.name);
+
+    const cooldown = Math.min(this.cooldown * 2 ** (provider.consecutiveFailures - 1), this.maxCooldown);
+    provider.cooldownUntil = Date.now() + cooldown;
+    logger.warn(`${this.network} RPC ${provider.name} failed, cooling down for ${cooldown}ms: ${provider.lastError}`);
+  }
+
+  /**
+   * Calls a web3.eth method on the best provider, failing over to the others on error.
+   * Errors caused by the request itself (e.g. a too-large log range) are thrown right away.
+   * @param {string} method - web3.eth method name, e.g. getPastLogs
+   * @param {...*} args - Method arguments
+   * @returns {Promise<*>} - The method's result
+   */
+  async call(method, ...args) {
+    let lastError = null;
+
+    for (const provider of this.ranked()) {
+      const started = Date.now();
+      try {
+        const result = await trackRpc(this.network, method, () => provider.web3.eth[method](...args));
+        this.recordSuccess(provider, Date.now() - started);
+        return result;
+      } catch (error) {
+        if (isRequestError(error)) {
+          this.recordSuccess(provider, Date.now() - started);
+          throw error;
+        }
+        this.recordFailure(provider, error);
+        lastError = error;
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Sends raw JSON-RPC requests to the best provider as a single batch, failing over like call()
+   * @param {string} label - Method label for metrics, e.g. eth_getBlockByNumber
+   * @param {Array} requests - { method, params } objects
+   * @returns {Promise<Array>} - Results in request order
+   */
+  async batch(label, requests) {
+    const payloads = requests.map(({ method, params }, i) => ({ jsonrpc: '2.0', id: i + 1, method, params }));
+    let lastError = null;
+
+    for (const provider of this.ranked()) {
+      const started = Date.now();
+      try {
+        const responses = await trackRpc(this.network, `batch:${label}`, () => provider.web3.requestManager.sendBatch(payloads));
+        if (!Array.isArray(responses)) {
+          throw new Error('Provider does not support batch requests');
+        }
+
+        const byId = new Map(responses.map(response => [Number(response.id), response]));
+        const results = payloads.map(({ id }) => {
+          const response = byId.get(id);
+          if (!response || response.error) {
+            throw new Error(`Batch request ${id} failed: ${response?.error?.message ?? 'missing response'}`);
+          }
+          return response.result;
+        });
+
+        this.recordSuccess(provider, Date.now() - started);
+        return results;
+      } catch (error) {
+        this.recordFailure(provider, error);
+        lastError = error;
+      }
+    }
+
+    throw lastError;
+  }
+
+  // Refuse providers that serve a different chain than configured; unreachable ones are only penalized
+  async verifyChainId(expected) {
+    await Promise.all(this.providers.map(async provider => {
+      let chainId;
+      try {
+        chainId = safeToNumber(await trackRpc(this.network, 'getChainId', () => provider.web3.eth.getChainId()));
+      } catch (error) {
+        this.recordFailure(provider, error);
+        return;
+      }
+
+      if (chainId !== expected) {
+        throw new Error(`RPC ${provider.name} for ${this.network} reports chain id ${chainId}, expected ${expected}`);
+      }
+    }));
+  }
+
+  // Ask every provider for its head; a provider trailing the highest head by more than
+  // RPC_MAX_LAG_BLOCKS is skipped until it catches up
+  async checkHeads() {
+    await Promise.all(this.providers.map(async provider => {
+      const started = Date.now();
+      try {
+        provider.headBlock = safeToNumber(await trackRpc(this.network, 'getBlockNumber', () => provider.web3.eth.getBlockNumber()));
+        this.recordSuccess(provider, Date.now() - started);
+      } catch (error) {
+        provider.headBlock = null;
+        this.recordFailure(provider, error);
+      }
+    }));
+
+    const heads = this.providers.map(p => p.headBlock).filter(head => head !== null);
+    const highest = heads.length > 0 ? Math.max(...heads) : null;
+
+    for (const provider of this.providers) {
+      const lag = highest !== null && provider.headBlock !== null ? highest - provider.headBlock : 0;
+      if (lag > this.maxLag && provider.lag <= this.maxLag) {
+        logger.warn(`${this.network} RPC ${provider.name} is ${lag} blocks behind the other providers`);
+      }
+      provider.lag = lag;
+    }
+
+    return highest;
+  }
+
+  // Per-provider health for /stats; URLs are redacted
+  getStats() {
+    const now = Date.now();
+    return this.providers.map(provider => ({
+      network: this.network,
+      provider: provider.name,
+      position: provider.index,
+      available: this.isAvailable(provider, now),
+      score: Math.round(this.score(provider)),
+      latency_ms: provider.latency === null ? null : Math.round(provider.latency),
+      error_rate: Number(provider.errorRate.toFixed(3)),
+      requests: provider.requests,
+      errors: provider.errors,
+      head_block: provider.headBlock,
+      lag_blocks: provider.lag,
+      cooldown_until: provider.cooldownUntil > now ? provider.cooldownUntil : null,
+      last_error: provider.lastError
+    }));
+  }
+}
+
+export default ProviderPool;
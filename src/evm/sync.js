@@ -0,0 +1,384 @@
+import dotenv from 'dotenv';
+import database from '../database.js';
+import logger from '../logger.js';
+import { safeToNumber, safeMin, safeMax } from '../utils/bigint.js';
+import { DIRECTION, EVENT_TYPE } from '../constants.js';
+import { getTokens, getNetwork, getRpcUrls, getWsUrl } from '../registry.js';
+import { eventsIngested, logChunkSize } from '../metrics.js';
+import ProviderPool from './provider-pool.js';
+import BlockHeaderCache from './block-cache.js';
+import EvmLiveSync from './live-sync.js';
+
+dotenv.config();
+
+// Syncs the blacklist contracts of one EVM chain declared in the token registry
+class EvmSync {
+  constructor(network) {
+    const chain = getNetwork(network);
+    if (!chain || chain.type !== 'evm') {
+      throw new Error(`${network} is not an EVM network in the token registry`);
+    }
+
+    const rpcUrls = getRpcUrls(network);
+    if (rpcUrls.length === 0) {
+      throw new Error(`No RPC URL configured for ${network} (set ${chain.rpcUrlEnv})`);
+    }
+
+    this.network = network;
+    this.chain = chain;
+    // Several comma-separated URLs form a pool with failover; subscriptions use the first one
+    this.pool = new ProviderPool(network, rpcUrls);
+    this.web3 = this.pool.providers[0].web3;
+    this.blocks = new BlockHeaderCache(network, this.pool);
+    this.live = null;
+    this.running = null;
+    // Never request more blocks per getPastLogs call than the chain's provider limit
+    this.chunkSize = Math.min(parseInt(process.env.CHUNK_SIZE || '10000'), chain.maxLogRange);
+    // Blocks newer than head - confirmations may still be reorged and are reported as pending
+    this.confirmations = parseInt(process.env[`${network}_CONFIRMATIONS`] || chain.confirmations);
+    logChunkSize.set({ network }, this.chunkSize);
+  }
+
+  // Call the healthiest provider of the pool, failing over to the others
+  rpc(method, ...args) {
+    return this.pool.call(method, ...args);
+  }
+
+  // Refuse to sync when an RPC endpoint serves a different chain than configured
+  async verifyChainId() {
+    await this.pool.verifyChainId(this.chain.chainId);
+  }
+
+  // Compare stored hashes of recently synced blocks with the chain and roll back
+  // from the first block that no longer matches
+  async checkForReorg() {
+    const stored = await database.getBlockHashes(this.network);
+    let lastMatchingBlock = null;
+
+    for (const { block_number, block_hash } of stored) {
+      // Only a fetched block with a different hash proves a reorg; an RPC failure or a provider
+      // that doesn't have the block yet skips the check until the next run
+      let block;
+      try {
+        block = await this.rpc('getBlock', block_number);
+      } catch (error) {
+        logger.warn(`Skipping ${this.network} reorg check, could not fetch block ${block_number}: ${error.message}`);
+        return null;
+      }
+      if (!block) {
+        logger.warn(`Skipping ${this.network} reorg check, block ${block_number} not found`);
+        return null;
+      }
+
+      if (block.hash === block_hash) {
+        lastMatchingBlock = block_number;
+        continue;
+      }
+
+      // Without a matching block below, assume the fork can be as deep as the confirmation window
+      const forkBlock = lastMatchingBlock !== null ?
+        lastMatchingBlock + 1 : Math.max(block_number - this.confirmations, 0);
+
+      logger.warn(`Chain reorg detected on ${this.network} at block ${block_number} (stored ${block_hash}, now ${block.hash}), rolling back from block ${forkBlock}`);
+      const result = await database.rollbackFromBlock(this.network, forkBlock);
+      this.blocks.invalidateFrom(forkBlock);
+      logger.warn(`Rolled back ${result.removedEvents} ${this.network} events affecting ${result.affectedEntries} blacklist entries`);
+      return forkBlock;
+    }
+
+    return null;
+  }
+
+  // headBlock is passed in when it's already known, e.g. from a newHeads subscription
+  async updateChainHead(headBlock = null) {
+    headBlock ??= safeToNumber(await this.rpc('getBlockNumber'));
+    const confirmedBlock = Math.max(headBlock - this.confirmations, 0);
+
+    await database.updateChainHead(this.network, headBlock, confirmedBlock);
+    // Keep one confirmation window of hashes below the confirmed block as anchors for fork detection
+    await database.pruneBlockHashes(this.network, confirmedBlock - this.confirmations);
+  }
+
+  // Read the 32-byte word an event parameter is stored in: an indexed topic or a word of the data field
+  readWord(log, decoding, token) {
+    if (decoding.source === 'data') {
+      const offset = 2 + decoding.index * 64;
+      if (!log.data || log.data.length < offset + 64) {
+        logger.error('Invalid log structure - missing or invalid data field:', log);
+        throw new Error(`Invalid log structure for ${token}: missing data word ${decoding.index}`);
+      }
+      return log.data.substring(offset, offset + 64);
+    }
+
+    if (!log.topics || log.topics.length <= decoding.index) {
+      logger.error(`Invalid log structure - missing topics[${decoding.index}]:`, log);
+      throw new Error(`Invalid log structure for ${token}: missing topic ${decoding.index}`);
+    }
+    return log.topics[decoding.index].substring(2);
+  }
+
+  async processLog(log, tokenConfig) {
+    const { token } = tokenConfig;
+    const event = tokenConfig.events.find(e => e.topic === log.topics?.[0]);
+    if (!event) {
+      throw new Error(`Unknown event topic for ${token}: ${log.topics?.[0]}`);
+    }
+
+    // The registry declares whether each parameter is an indexed topic or a word in the data field
+    const isDestroyedFunds = event.type === EVENT_TYPE.DESTROYED_FUNDS;
+    const addressDecoding = isDestroyedFunds ?
+      tokenConfig.destroyedFundsDecoding.address : tokenConfig.addressDecoding;
+    const address = '0x' + this.readWord(log, addressDecoding, token).substring(24);
+
+    // Block timestamps come from the header cache, which callers prefetch per chunk of logs
+    const timestamp = await this.blocks.getTimestamp(log);
+
+    const entry = {
+      address,
+      token,
+      network: this.network,
+      event_type: event.type,
+      is_blacklisted: event.direction === DIRECTION.BLACKLISTED,
+      event_name: event.name,
+      block_number: safeToNumber(log.blockNumber),
+      transaction_hash: log.transactionHash,
+      log_index: safeToNumber(log.logIndex),
+      timestamp
+    };
+
+    if (isDestroyedFunds) {
+      const amountWord = this.readWord(log, tokenConfig.destroyedFundsDecoding.amount, token);
+      entry.amount = BigInt('0x' + amountWord).toString();
+    }
+
+    return entry;
+  }
+
+  async syncToken(tokenConfig, forceFullSync = false) {
+    const { token: tokenSymbol, address: contractAddress, startBlock } = tokenConfig;
+    const topics = tokenConfig.events.map(e => e.topic);
+
+    try {
+      const lastSyncedBlock = await database.getLastSyncedBlock(this.network, tokenSymbol);
+      let fromBlock = safeMax(lastSyncedBlock + 1, startBlock);
+      if (forceFullSync) {
+        // Events are staged and swapped in at the end; the API keeps serving the current data meanwhile
+        fromBlock = startBlock;
+        logger.info(`Staging full ${tokenSymbol} ${this.network} resync`);
+        await database.beginResync(this.network, tokenSymbol);
+      }
+      const latestBlockBigInt = await this.rpc('getBlockNumber');
+      const latestBlock = safeToNumber(latestBlockBigInt);
+
+      logger.info(`Starting ${tokenSymbol} ${this.network} sync from block ${fromBlock} to ${latestBlock}`);
+
+      // Log progress in batches covering roughly 24 days of the chain's blocks
+      const maxBatchSize = Math.ceil(24 * 24 * 60 * 60 / this.chain.blockTime);
+      let batchStart = fromBlock;
+      while (batchStart <= latestBlock) {
+        const batchEnd = safeMin(batchStart + maxBatchSize - 1, latestBlock);
+        logger.info(`Processing batch from ${batchStart} to ${batchEnd} for ${tokenSymbol}`);
+        let currentBlock = batchStart;
+        while (currentBlock <= batchEnd) {
+          const toBlock = safeMin(currentBlock + this.chunkSize - 1, batchEnd);
+          
+          logger.info(`Fetching ${tokenSymbol} logs from block ${currentBlock} to ${toBlock}`);
+          
+          try {
+            const logs = await this.rpc('getPastLogs', {
+              fromBlock: currentBlock,
+              toBlock: toBlock,
+              address: contractAddress,
+              topics: [topics]
+            });
+
+            if (logs.length > 0) {
+              logger.info(`Found ${logs.length} events for ${tokenSymbol}`);
+              
+              await this.blocks.prefetch(logs);
+              const entries = [];
+              for (const log of logs) {
+                const entry = await this.processLog(log, tokenConfig);
+                entries.push(entry);
+              }
+              
+              if (forceFullSync) {
+                await database.stageResyncEntries(entries);
+                logger.info(`Staged ${entries.length} ${tokenSymbol} blacklist entries`);
+              } else {
+                const inserted = await database.batchUpsertBlacklistEntries(entries);
+                eventsIngested.inc({ network: this.network, token: tokenSymbol }, inserted);
+                logger.info(`Processed ${entries.length} ${tokenSymbol} blacklist entries`);
+              }
+
+              // Remember hashes of unconfirmed blocks that produced events
+              await database.recordBlockHashes(this.network, logs
+                .filter(log => safeToNumber(log.blockNumber) > latestBlock - this.confirmations)
+                .map(log => ({ number: safeToNumber(log.blockNumber), hash: log.blockHash })));
+            }
+
+            // A resync only records its progress when it is swapped in
+            if (!forceFullSync) {
+              await database.updateSyncStatus(this.network, tokenSymbol, toBlock);
+            }
+            currentBlock = toBlock + 1;
+            
+            // Add a small delay to avoid rate limiting
+            await new Promise(resolve => setTimeout(resolve, 100));
+            
+          } catch (error) {
+            if (error.message.includes('query returned more than') || 
+                error.message.includes('range is too large') ||
+                error.message.includes('max is 1k blocks')) {
+              // Reduce chunk size if we hit the log limit
+              this.chunkSize = Math.floor(this.chunkSize / 2);
+              logger.warn(`Reducing chunk size to ${this.chunkSize} due to RPC limit: ${error.message}`);
+              
+              // Ensure chunk size doesn't go below 100
+              if (this.chunkSize < 100) {
+                this.chunkSize = 100;
+                logger.warn(`Chunk size hit minimum of ${this.chunkSize}`);
+              }
+              logChunkSize.set({ network: this.network }, this.chunkSize);
+              continue;
+            }
+            throw error;
+          }
+        }
+        batchStart = batchEnd + 1;
+      }
+
+      // Remember the tip hash so a reorg of the synced range is caught on the next run
+      const tip = await this.rpc('getBlock', latestBlock);
+      await database.recordBlockHashes(this.network, [{ number: latestBlock, hash: tip.hash }]);
+
+      if (forceFullSync) {
+        const result = await database.commitResync(this.network, tokenSymbol, { fromBlock, toBlock: latestBlock });
+        eventsIngested.inc({ network: this.network, token: tokenSymbol }, result.added);
+        logger.info(`Swapped in ${tokenSymbol} ${this.network} resync: ${result.added} events added, ${result.removed} removed, ${result.transitions} status changes`);
+      }
+
+      logger.info(`${tokenSymbol} sync completed. Last block: ${latestBlock}`);
+          
+    } catch (error) {
+      logger.error(`Error syncing ${tokenSymbol} on ${this.network}:`, error);
+      if (forceFullSync) {
+        // The live tables were never touched; just drop the partial resync
+        await database.abortResync(this.network, tokenSymbol);
+      }
+      throw error;
+    }
+  }
+
+  // The live sync backfills through syncAll on every reconnect while the cron also calls it;
+  // a call made while a sync is running waits for that run instead of starting a second one
+  async syncAll(forceFullSync = false) {
+    if (this.running) {
+      logger.info(`${this.network} sync already running, waiting for it to finish`);
+      await this.running.catch(() => {});
+      if (!forceFullSync) {
+        return;
+      }
+    }
+
+    this.running = this.runSync(forceFullSync);
+    try {
+      await this.running;
+    } finally {
+      this.running = null;
+    }
+  }
+
+  async runSync(forceFullSync) {
+    logger.info(`Starting ${this.network} sync...`);
+
+    try {
+      await this.verifyChainId();
+      // Cross-check provider heads so a lagging provider isn't used for this run
+      await this.pool.checkHeads();
+      await this.checkForReorg();
+
+      // Sync in parallel for better performance
+      await Promise.all(
+        getTokens(this.network).map(tokenConfig => this.syncToken(tokenConfig, forceFullSync))
+      );
+
+      await this.updateChainHead();
+    } finally {
+      await database.saveRpcProviderStats(this.network, this.pool.getStats());
+    }
+      
+    logger.info(`${this.network} sync completed`);
+  }
+
+  async handleLiveEvent(event, tokenConfig) {
+    const { token } = tokenConfig;
+
+    // The node re-emits logs with removed: true when their block is reorged out
+    if (event.removed) {
+      logger.warn(`${token} ${this.network} event removed by reorg: ${event.transactionHash}`);
+      await database.removeBlacklistEvent(this.network, token, event.transactionHash, safeToNumber(event.logIndex));
+      return;
+    }
+
+    const entry = await this.processLog(event, tokenConfig);
+    await database.upsertBlacklistEntry(entry);
+    await database.recordBlockHashes(this.network, [{ number: entry.block_number, hash: event.blockHash }]);
+  }
+
+  // Follow new blocks over the network's WebSocket endpoint. Without one, updates only
+  // arrive through the periodic sync.
+  liveSync() {
+    const wsUrl = getWsUrl(this.network);
+    if (!wsUrl) {
+      logger.warn(`No WebSocket URL configured for ${this.network} (set ${this.chain.wsUrlEnv}), relying on the periodic sync`);
+      return;
+    }
+
+    logger.info(`Starting ${this.network} live sync...`);
+    this.live = new EvmLiveSync(this, wsUrl);
+    this.live.start();
+  }
+
+  stopLiveSync() {
+    this.live?.stop();
+    this.live = null;
+  }
+}
+const normalizedArgv = process.argv[1].replace(/\\/g, '/');
+const isMainModule = import.meta.url.endsWith('src/evm/sync.js') && normalizedArgv.endsWith('src/evm/sync.js');
+
+// Run if called directly: node src/evm/sync.js <NETWORK> [--once] [--full-sync]
+if (isMainModule) {
+  const args = process.argv.slice(2);
+  const network = (args.find(arg => !arg.startsWith('--')) || 'ETHEREUM').toUpperCase();
+  const sync = new EvmSync(network);
+  
+  await database.init(process.env.DATABASE_PATH || './data/blacklist.db');
+  
+  const isOnceMode = args.includes('--once');
+  const isFullSync = args.includes('--full-sync');
+  
+  if (isFullSync) {
+    logger.info('Full sync mode enabled - will re-fetch all historical data');
+  }
+  
+  // Run initial sync
+  await sync.syncAll(isFullSync);
+  
+  // Start live sync if not in one-time mode
+  if (!isOnceMode) {
+    sync.liveSync();
+    
+    // Also run periodic sync as a safety net for anything the live sync missed
+    setInterval(async () => {
+      try {
+        await sync.syncAll(false);
+      } catch (error) {
+        logger.error(`Periodic ${network} sync failed:`, error);
+      }
+    }, parseInt(process.env.SYNC_INTERVAL_MINUTES || '10') * 60 * 1000);
+  }
+}
+
+export default EvmSync;
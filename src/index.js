@@ -2,12 +2,36 @@ import dotenv from 'dotenv';
 import cron from 'node-cron';
 import database from './database.js';
 import logger from './logger.js';
-import EthereumSync from './ethereum/sync.js';
+import EvmSync from './evm/sync.js';
 import TronSync from './tron/sync.js';
 import { startServer } from './api/server.js';
+import WebhookDispatcher from './webhooks/dispatcher.js';
+import Reconciler from './utils/reconcile.js';
+import { getNetworks, getEnabledEvmNetworks } from './registry.js';
 
 dotenv.config();
 
+// Sync mode is 'all', 'evm' (every EVM chain with an RPC URL), 'tron' or a single network name
+function createSyncers(syncMode) {
+  const mode = syncMode.toUpperCase();
+  let evmNetworks = [];
+
+  if (mode === 'ALL' || mode === 'EVM') {
+    evmNetworks = getEnabledEvmNetworks().map(network => network.name);
+  } else if (getNetworks('evm').some(network => network.name === mode)) {
+    evmNetworks = [mode];
+  } else if (mode !== 'TRON') {
+    throw new Error(`Unknown sync mode: ${syncMode}`);
+  }
+
+  const syncers = evmNetworks.map(network => new EvmSync(network));
+  if (mode === 'ALL' || mode === 'TRON') {
+    syncers.push(new TronSync());
+  }
+
+  return syncers;
+}
+
 async function main() {
   try {
     logger.info('Starting Blockchain Blacklist Harvester...');
@@ -15,40 +39,35 @@ async function main() {
     // Initialize database
     await database.init(process.env.DATABASE_PATH || './data/blacklist.db');
 
+    // Run initial sync based on command line arguments
+    const args = process.argv.slice(2);
+    const syncMode = args[0] || 'all';
+    const runOnce = args.includes('--once');
+
     // Initialize sync instances
-    const ethereumSync = new EthereumSync();
-    const tronSync = new TronSync();
+    const syncers = createSyncers(syncMode);
 
     // Start API server
     startServer();
 
-    // Run initial sync based on command line arguments
-    const args = process.argv.slice(2);
-    const syncMode = args[0] || 'all';
-    const runOnce = args.includes('--once');
+    // Deliver queued webhooks for blacklist status changes
+    const webhookDispatcher = new WebhookDispatcher();
+    webhookDispatcher.start();
 
-    logger.info(`Sync mode: ${syncMode}, Run once: ${runOnce}`);
+    logger.info(`Sync mode: ${syncMode}, Run once: ${runOnce}, Networks: ${syncers.map(s => s.network).join(', ')}`);
 
     // Perform initial sync
-    if (syncMode === 'ethereum' || syncMode === 'all') {
-      await ethereumSync.syncAll();
-    }
-
-    if (syncMode === 'tron' || syncMode === 'all') {
-      await tronSync.syncAll();
+    for (const sync of syncers) {
+      await sync.syncAll();
     }
 
     if (!runOnce) {
       // Start live sync for real-time updates
-      if (syncMode === 'ethereum' || syncMode === 'all') {
-        ethereumSync.liveSync();
+      for (const sync of syncers) {
+        sync.liveSync();
       }
 
-      if (syncMode === 'tron' || syncMode === 'all') {
-        tronSync.liveSync();
-      }
-
-      // Schedule periodic full sync
+      // Schedule periodic sync as a safety net for events the live sync missed
       const syncInterval = process.env.SYNC_INTERVAL_MINUTES || '10';
       const cronExpression = `*/${syncInterval} * * * *`;
 
@@ -58,12 +77,8 @@ async function main() {
         logger.info('Running scheduled sync...');
         
         try {
-          if (syncMode === 'ethereum' || syncMode === 'all') {
-            await ethereumSync.syncAll();
-          }
-
-          if (syncMode === 'tron' || syncMode === 'all') {
-            await tronSync.syncAll();
+          for (const sync of syncers) {
+            await sync.syncAll();
           }
 
           // Log statistics after sync
@@ -74,22 +89,52 @@ async function main() {
         }
       });
 
+      // Compare stored status with the contracts' on-chain status and heal drift
+      const reconcileCron = process.env.RECONCILE_CRON || '17 3 * * *';
+      if (reconcileCron !== 'off') {
+        let reconciling = false;
+        logger.info(`Scheduling reconciliation (${reconcileCron})`);
+
+        cron.schedule(reconcileCron, async () => {
+          if (reconciling) {
+            logger.warn('Previous reconciliation still running, skipping this one');
+            return;
+          }
+
+          reconciling = true;
+          try {
+            const reconciler = new Reconciler({ dryRun: process.env.RECONCILE_DRY_RUN === 'true', syncers });
+            await reconciler.run(syncers.map(s => s.network));
+          } catch (error) {
+            logger.error('Error in scheduled reconciliation:', error);
+          } finally {
+            reconciling = false;
+          }
+        });
+      }
+
       logger.info('Blacklist harvester is running...');
       logger.info('Press Ctrl+C to stop');
 
       // Keep the process running
       process.on('SIGINT', async () => {
         logger.info('Shutting down...');
+        syncers.forEach(sync => sync.stopLiveSync?.());
         await database.close();
         process.exit(0);
       });
 
       process.on('SIGTERM', async () => {
         logger.info('Shutting down...');
+        syncers.forEach(sync => sync.stopLiveSync?.());
         await database.close();
         process.exit(0);
       });
     } else {
+      // Flush webhooks queued by the sync before exiting
+      webhookDispatcher.stop();
+      await webhookDispatcher.processDue();
+
       // Exit after one-time sync
       logger.info('One-time sync completed');
       await database.close();
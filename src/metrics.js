@@ -0,0 +1,180 @@
+import client from 'prom-client';
+import database from './database.js';
+import { getNetwork } from './registry.js';
+
+// TRON produces a block every 3 seconds; EVM block times come from the registry
+const TRON_BLOCK_TIME = 3;
+
+export const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+export const eventsIngested = new client.Counter({
+  name: 'blacklist_events_ingested_total',
+  help: 'Blacklist events newly written by the sync modules in this process',
+  labelNames: ['network', 'token'],
+  registers: [register]
+});
+
+export const rpcRequests = new client.Counter({
+  name: 'rpc_requests_total',
+  help: 'RPC calls made to blockchain nodes',
+  labelNames: ['network', 'method'],
+  registers: [register]
+});
+
+export const rpcErrors = new client.Counter({
+  name: 'rpc_errors_total',
+  help: 'RPC calls that failed',
+  labelNames: ['network', 'method'],
+  registers: [register]
+});
+
+export const rpcDuration = new client.Histogram({
+  name: 'rpc_request_duration_seconds',
+  help: 'Latency of RPC calls to blockchain nodes',
+  labelNames: ['network', 'method'],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  registers: [register]
+});
+
+export const logChunkSize = new client.Gauge({
+  name: 'evm_log_chunk_size_blocks',
+  help: 'Block range currently used per eth_getLogs call',
+  labelNames: ['network'],
+  registers: [register]
+});
+
+export const tronGridPages = new client.Counter({
+  name: 'trongrid_pages_fetched_total',
+  help: 'Pages of contract events fetched from TronGrid',
+  labelNames: ['event_name'],
+  registers: [register]
+});
+
+export const tronGridRetries = new client.Counter({
+  name: 'trongrid_retries_total',
+  help: 'TronGrid requests retried, by HTTP status or network',
+  labelNames: ['reason'],
+  registers: [register]
+});
+
+export const liveSyncConnected = new client.Gauge({
+  name: 'live_sync_connected',
+  help: 'Whether the WebSocket live sync of a network is connected and caught up (1) or not (0)',
+  labelNames: ['network'],
+  registers: [register]
+});
+
+export const liveSyncReconnects = new client.Counter({
+  name: 'live_sync_reconnects_total',
+  help: 'WebSocket live sync connections lost and scheduled for reconnect',
+  labelNames: ['network'],
+  registers: [register]
+});
+
+export const httpDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'API request latency by route',
+  labelNames: ['method', 'route', 'status'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+  registers: [register]
+});
+
+// Sync progress is read from the database at scrape time, so it is accurate even
+// when the sync modules run in another process
+const lastSyncedBlock = new client.Gauge({
+  name: 'sync_last_synced_block',
+  help: 'Last block processed by the sync',
+  labelNames: ['network', 'token'],
+  registers: [register]
+});
+
+const lastSyncTimestamp = new client.Gauge({
+  name: 'sync_last_sync_timestamp_seconds',
+  help: 'Unix time of the last sync status update',
+  labelNames: ['network', 'token'],
+  registers: [register]
+});
+
+const chainHead = new client.Gauge({
+  name: 'chain_head_block',
+  help: 'Chain head seen by the last sync',
+  labelNames: ['network'],
+  registers: [register]
+});
+
+const syncLagBlocks = new client.Gauge({
+  name: 'sync_lag_blocks',
+  help: 'Blocks between the chain head and the last synced block',
+  labelNames: ['network', 'token'],
+  registers: [register]
+});
+
+const syncLagSeconds = new client.Gauge({
+  name: 'sync_lag_seconds',
+  help: 'Estimated time behind the chain head (lag in blocks times block time)',
+  labelNames: ['network', 'token'],
+  registers: [register]
+});
+
+const storedEvents = new client.Gauge({
+  name: 'blacklist_events_stored',
+  help: 'Blacklist events stored in the database',
+  labelNames: ['network', 'token'],
+  registers: [register]
+});
+
+function blockTime(network) {
+  return network === 'TRON' ? TRON_BLOCK_TIME : getNetwork(network)?.blockTime ?? 12;
+}
+
+async function collectDatabaseMetrics() {
+  const [syncStatus, heads, eventCounts] = await Promise.all([
+    database.getSyncStatus(),
+    database.getChainHeads(),
+    database.getEventCounts()
+  ]);
+
+  const headByNetwork = Object.fromEntries(heads.map(h => [h.network, h.head_block]));
+
+  for (const head of heads) {
+    chainHead.set({ network: head.network }, head.head_block);
+  }
+
+  for (const status of syncStatus) {
+    const labels = { network: status.network, token: status.token };
+    lastSyncedBlock.set(labels, status.last_synced_block);
+    lastSyncTimestamp.set(labels, Math.floor((status.last_sync_timestamp || 0) / 1000));
+
+    const head = headByNetwork[status.network];
+    if (head !== undefined && head !== null) {
+      const lag = Math.max(head - status.last_synced_block, 0);
+      syncLagBlocks.set(labels, lag);
+      syncLagSeconds.set(labels, lag * blockTime(status.network));
+    }
+  }
+
+  for (const row of eventCounts) {
+    storedEvents.set({ network: row.network, token: row.token }, row.count);
+  }
+}
+
+export async function getMetrics() {
+  await collectDatabaseMetrics();
+  return await register.metrics();
+}
+
+// Time an RPC call and count it, labelled by network and method
+export async function trackRpc(network, method, fn) {
+  const end = rpcDuration.startTimer({ network, method });
+  rpcRequests.inc({ network, method });
+
+  try {
+    return await fn();
+  } catch (error) {
+    rpcErrors.inc({ network, method });
+    throw error;
+  } finally {
+    end();
+  }
+}
@@ -0,0 +1,185 @@
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import Web3 from 'web3';
+import dotenv from 'dotenv';
+import { DIRECTION, EVENT_TYPE } from './constants.js';
+
+dotenv.config();
+
+const DEFAULT_REGISTRY_PATH = fileURLToPath(new URL('../config/tokens.json', import.meta.url));
+const ADDRESS_SOURCES = {
+  evm: ['data', 'topic'],
+  tron: ['result']
+};
+
+const web3 = new Web3();
+
+// Defaults for EVM chain parameters not declared in the registry
+const EVM_DEFAULTS = {
+  blockTime: 12,
+  maxLogRange: 10000,
+  confirmations: 12,
+  // Multicall3 has the same address on every major EVM chain; null falls back to one eth_call per address
+  multicallAddress: '0xcA11bde05977b3631167028862bE2a173976CA11'
+};
+
+function normalizeNetwork(name, network) {
+  if (!ADDRESS_SOURCES[network.type]) {
+    throw new Error(`Network ${name} has unsupported type: ${network.type}`);
+  }
+
+  if (network.type !== 'evm') {
+    return { ...network };
+  }
+
+  if (!Number.isInteger(network.chainId)) {
+    throw new Error(`EVM network ${name} must declare a numeric chainId`);
+  }
+
+  return {
+    ...EVM_DEFAULTS,
+    ...network,
+    rpcUrlEnv: network.rpcUrlEnv || `${name}_RPC_URL`,
+    wsUrlEnv: network.wsUrlEnv || `${name}_WS_URL`
+  };
+}
+
+function toEvent(signature, type, direction) {
+  return {
+    name: signature.substring(0, signature.indexOf('(')),
+    signature,
+    topic: web3.utils.keccak256(signature),
+    type,
+    direction
+  };
+}
+
+function normalizeEvents(entry, label) {
+  const events = [];
+
+  for (const [key, direction] of [['blacklist', DIRECTION.BLACKLISTED], ['unblacklist', DIRECTION.UNBLACKLISTED]]) {
+    const signatures = entry.events?.[key];
+    if (!Array.isArray(signatures) || signatures.length === 0) {
+      throw new Error(`Token registry entry ${label} must declare events.${key} signatures`);
+    }
+
+    events.push(...signatures.map(signature => toEvent(signature, EVENT_TYPE.STATUS, direction)));
+  }
+
+  // Optional events that burn a blacklisted address's balance (e.g. USDT DestroyedBlackFunds)
+  const destroyed = entry.events?.destroyedFunds || [];
+  events.push(...destroyed.map(signature => toEvent(signature, EVENT_TYPE.DESTROYED_FUNDS, null)));
+
+  return events;
+}
+
+function normalizeDecoding(decoding, networkType, field, label) {
+  if (!decoding || !ADDRESS_SOURCES[networkType].includes(decoding.source)) {
+    throw new Error(`Token registry entry ${label} has invalid ${field}.source: ${decoding?.source}`);
+  }
+  return { index: 0, ...decoding };
+}
+
+function normalizeToken(entry, networks) {
+  const label = `${entry.token}/${entry.network}`;
+  const network = networks[entry.network];
+
+  if (!entry.token || !entry.address) {
+    throw new Error(`Token registry entry ${label} must declare token and address`);
+  }
+
+  if (!network) {
+    throw new Error(`Token registry entry ${label} references unknown network ${entry.network}`);
+  }
+
+  const events = normalizeEvents(entry, label);
+  let destroyedFundsDecoding = null;
+  if (events.some(e => e.type === EVENT_TYPE.DESTROYED_FUNDS)) {
+    const decoding = entry.destroyedFundsDecoding || {};
+    destroyedFundsDecoding = {
+      address: normalizeDecoding(decoding.address, network.type, 'destroyedFundsDecoding.address', label),
+      amount: normalizeDecoding(decoding.amount, network.type, 'destroyedFundsDecoding.amount', label)
+    };
+  }
+
+  return {
+    network: entry.network,
+    token: entry.token,
+    address: entry.address,
+    startBlock: entry.startBlock || 0,
+    startTimestamp: entry.startTimestamp ?? null,
+    decimals: entry.decimals ?? null,
+    events,
+    addressDecoding: normalizeDecoding(entry.addressDecoding, network.type, 'addressDecoding', label),
+    destroyedFundsDecoding,
+    statusMethod: entry.statusMethod || null,
+    statusFallbackMethod: entry.statusFallbackMethod || null
+  };
+}
+
+// Load and validate a registry file; event topics are derived from the declared signatures
+export function loadRegistry(filePath) {
+  const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const networks = Object.fromEntries(
+    Object.entries(raw.networks || {}).map(([name, network]) => [name, normalizeNetwork(name, network)])
+  );
+
+  const tokens = (raw.tokens || []).map(entry => normalizeToken(entry, networks));
+
+  const seen = new Set();
+  for (const { network, token } of tokens) {
+    if (seen.has(`${network}|${token}`)) {
+      throw new Error(`Token registry declares ${token}/${network} more than once`);
+    }
+    seen.add(`${network}|${token}`);
+  }
+
+  return { networks, tokens };
+}
+
+const registry = loadRegistry(process.env.TOKEN_REGISTRY_PATH || DEFAULT_REGISTRY_PATH);
+
+export function getNetworks(type = null) {
+  return Object.entries(registry.networks)
+    .filter(([, network]) => !type || network.type === type)
+    .map(([name, network]) => ({ name, ...network }));
+}
+
+export function getNetwork(name) {
+  const network = registry.networks[name];
+  return network ? { name, ...network } : null;
+}
+
+// RPC endpoints of an EVM network: the comma-separated environment variable named by rpcUrlEnv,
+// else the registry default
+export function getRpcUrls(name) {
+  const network = registry.networks[name];
+  const urls = network ? (process.env[network.rpcUrlEnv] || network.rpcUrl || '') : '';
+  return urls.split(',').map(url => url.trim()).filter(Boolean);
+}
+
+// First configured RPC endpoint of an EVM network
+export function getRpcUrl(name) {
+  return getRpcUrls(name)[0] || null;
+}
+
+// WebSocket endpoint used for live subscriptions of an EVM network, if configured
+export function getWsUrl(name) {
+  const network = registry.networks[name];
+  return (network && process.env[network.wsUrlEnv]) || null;
+}
+
+// EVM networks that have an RPC endpoint configured and can therefore be synced
+export function getEnabledEvmNetworks() {
+  return getNetworks('evm').filter(network => getRpcUrl(network.name));
+}
+
+export function getTokens(network = null) {
+  return registry.tokens.filter(t => !network || t.network === network);
+}
+
+export function getToken(network, token) {
+  return registry.tokens.find(t => t.network === network && t.token === token) || null;
+}
+
+export default registry;
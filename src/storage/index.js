@@ -0,0 +1,26 @@
+import SqliteDriver from './sqlite.js';
+import PostgresDriver from './postgres.js';
+
+/**
+ * Opens the configured storage backend. Every driver exposes the same interface:
+ * exec(sql), run(sql, params) -> { changes }, get(sql, params), all(sql, params),
+ * transaction(fn), applySchema(schema) and close(). Queries use ? placeholders.
+ * @param {Object} options
+ * @param {string} options.dbPath - SQLite file, used when no databaseUrl is given
+ * @param {string} [options.databaseUrl] - postgres:// connection string
+ * @returns {Promise<Object>} - Opened driver
+ */
+export async function openStorage({ dbPath, databaseUrl = null }) {
+  if (databaseUrl) {
+    if (!/^postgres(ql)?:\/\//.test(databaseUrl)) {
+      throw new Error('DATABASE_URL must be a postgres:// or postgresql:// connection string');
+    }
+    const driver = new PostgresDriver();
+    await driver.open(databaseUrl);
+    return driver;
+  }
+
+  const driver = new SqliteDriver();
+  await driver.open(dbPath);
+  return driver;
+}
@@ -0,0 +1,126 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+export const MIGRATIONS_DIR = fileURLToPath(new URL('../../migrations', import.meta.url));
+
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.(sql|js)$/;
+
+const MIGRATIONS_TABLE = `
+  CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at INTEGER NOT NULL
+  );
+`;
+
+/**
+ * Lists the migration files in version order. Files are named NNN_description.sql
+ * (SQLite dialect, translated for PostgreSQL by the driver) or NNN_description.js
+ * (exporting `async up(db)` for changes plain SQL can't express). Each runs inside its own
+ * transaction, so it must not open another one.
+ * @param {string} dir - Directory holding the migration files
+ * @returns {Promise<Array>} - { version, name, label, file } entries
+ */
+export async function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = (await fs.readdir(dir))
+    .map(file => file.match(MIGRATION_FILE))
+    .filter(Boolean)
+    .map(([file, version, name]) => ({
+      version: parseInt(version),
+      name,
+      label: `${version}_${name}`,
+      file: path.join(dir, file)
+    }))
+    .sort((a, b) => a.version - b.version);
+
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version ${migrations[i].version}`);
+    }
+  }
+
+  return migrations;
+}
+
+async function getAppliedVersions(db) {
+  await db.applySchema(MIGRATIONS_TABLE);
+  const rows = await db.all('SELECT version FROM schema_migrations ORDER BY version');
+  return rows.map(r => r.version);
+}
+
+async function applyMigration(db, migration) {
+  if (migration.file.endsWith('.sql')) {
+    await db.applySchema(await fs.readFile(migration.file, 'utf8'));
+  } else {
+    const { up } = await import(pathToFileURL(migration.file).href);
+    await up(db);
+  }
+}
+
+/**
+ * Compares the database with the migration files
+ * @param {Object} db - Opened storage driver
+ * @returns {Promise<Object>} - { current, latest, applied, pending }
+ * @throws {Error} - When the database has migrations this code doesn't know about
+ */
+export async function getMigrationStatus(db, dir = MIGRATIONS_DIR) {
+  const migrations = await loadMigrations(dir);
+  const applied = await getAppliedVersions(db);
+  const known = new Set(migrations.map(m => m.version));
+  const current = applied.length > 0 ? applied[applied.length - 1] : 0;
+  const latest = migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+
+  const unknown = applied.filter(version => !known.has(version));
+  if (unknown.length > 0) {
+    throw new Error(
+      `Database schema is at version ${current}, newer than this code (${latest}); ` +
+      `unknown migrations: ${unknown.join(', ')}. Deploy a newer release instead of downgrading.`
+    );
+  }
+
+  return {
+    current,
+    latest,
+    applied: migrations.filter(m => applied.includes(m.version)),
+    pending: migrations.filter(m => !applied.includes(m.version))
+  };
+}
+
+/**
+ * Applies pending migrations in version order, each in its own transaction
+ * @param {Object} db - Opened storage driver
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Only report what would be applied
+ * @returns {Promise<Array>} - Migrations applied (or pending, for a dry run)
+ */
+export async function migrate(db, { dryRun = false, dir = MIGRATIONS_DIR } = {}) {
+  const { pending } = await getMigrationStatus(db, dir);
+  if (dryRun) {
+    return pending;
+  }
+
+  const applied = [];
+  for (const migration of pending) {
+    const ran = await db.transaction(async () => {
+      // Another process may have applied it while this one waited for the transaction
+      const existing = await db.get('SELECT version FROM schema_migrations WHERE version = ?', [migration.version]);
+      if (existing) {
+        return false;
+      }
+
+      await applyMigration(db, migration);
+      await db.run(
+        'INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)',
+        [migration.version, migration.name, Date.now()]
+      );
+      return true;
+    });
+
+    if (ran) {
+      applied.push(migration);
+    }
+  }
+
+  return applied;
+}
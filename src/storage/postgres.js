@@ -0,0 +1,107 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import pg from 'pg';
+
+// Return BIGINT columns (timestamps in ms, block numbers, counts) as numbers like SQLite does
+pg.types.setTypeParser(pg.types.builtins.INT8, value => parseInt(value));
+
+// Write transactions take this advisory lock so they commit one at a time across every
+// process sharing the database; event ids then follow commit order, which the change
+// stream relies on as its cursor
+const WRITE_LOCK_KEY = 7316281;
+
+// The schema is written for SQLite; map its column types onto Postgres equivalents
+export function translateSchema(sql) {
+  return sql
+    .replace(/INTEGER PRIMARY KEY AUTOINCREMENT/g, 'BIGSERIAL PRIMARY KEY')
+    .replace(/BOOLEAN DEFAULT TRUE/g, 'INTEGER DEFAULT 1')
+    .replace(/\bINTEGER\b/g, 'BIGINT');
+}
+
+// Queries are written with SQLite-style ? placeholders
+function toPositional(sql) {
+  let index = 0;
+  return sql.replace(/\?/g, () => `$${++index}`);
+}
+
+// Connection-pooled PostgreSQL storage, selected with DATABASE_URL so several
+// API replicas and sync processes can share one database
+class PostgresDriver {
+  constructor() {
+    this.dialect = 'postgres';
+    this.pool = null;
+    this.txClient = new AsyncLocalStorage();
+  }
+
+  async open(databaseUrl) {
+    this.pool = new pg.Pool({
+      connectionString: databaseUrl,
+      max: parseInt(process.env.DATABASE_POOL_SIZE || '10')
+    });
+
+    // Fail fast on bad credentials instead of on the first query
+    const client = await this.pool.connect();
+    client.release();
+
+    const url = new URL(databaseUrl);
+    this.description = `postgres://${url.host}${url.pathname}`;
+  }
+
+  async applySchema(schema) {
+    await this.exec(translateSchema(schema));
+  }
+
+  // Inside transaction() every query runs on the transaction's client
+  query(sql, params = []) {
+    const client = this.txClient.getStore() || this.pool;
+    return client.query(toPositional(sql), params);
+  }
+
+  async exec(sql) {
+    await (this.txClient.getStore() || this.pool).query(sql);
+  }
+
+  async run(sql, params = []) {
+    const result = await this.query(sql, params);
+    return { changes: result.rowCount };
+  }
+
+  async get(sql, params = []) {
+    const result = await this.query(sql, params);
+    return result.rows[0];
+  }
+
+  async all(sql, params = []) {
+    const result = await this.query(sql, params);
+    return result.rows;
+  }
+
+  async transaction(fn) {
+    // Nested calls join the surrounding transaction
+    if (this.txClient.getStore()) {
+      return await fn();
+    }
+
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query('SELECT pg_advisory_xact_lock($1)', [WRITE_LOCK_KEY]);
+      const result = await this.txClient.run(client, fn);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async close() {
+    if (this.pool) {
+      await this.pool.end();
+      this.pool = null;
+    }
+  }
+}
+
+export default PostgresDriver;
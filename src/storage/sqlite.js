@@ -0,0 +1,93 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+import path from 'path';
+import fs from 'fs/promises';
+
+// Single-connection SQLite storage; the default backend when no DATABASE_URL is set
+class SqliteDriver {
+  constructor() {
+    this.dialect = 'sqlite';
+    this.db = null;
+    this.txQueue = Promise.resolve();
+    this.inTransaction = new AsyncLocalStorage();
+  }
+
+  async open(dbPath) {
+    // Ensure directory exists
+    await fs.mkdir(path.dirname(dbPath), { recursive: true });
+
+    this.db = await open({
+      filename: dbPath,
+      driver: sqlite3.Database
+    });
+
+    await this.db.run('PRAGMA foreign_keys = ON');
+    this.description = dbPath;
+  }
+
+  async applySchema(schema) {
+    await this.db.exec(schema);
+  }
+
+  async exec(sql) {
+    await this.serialize(() => this.db.exec(sql));
+  }
+
+  async run(sql, params = []) {
+    const result = await this.serialize(() => this.db.run(sql, params));
+    return { changes: result.changes };
+  }
+
+  async get(sql, params = []) {
+    return await this.serialize(() => this.db.get(sql, params));
+  }
+
+  async all(sql, params = []) {
+    return await this.serialize(() => this.db.all(sql, params));
+  }
+
+  // Every statement on the shared connection takes its turn behind open transactions. A write
+  // issued by another task between BEGIN and COMMIT would become part of that transaction and be
+  // undone by its ROLLBACK; a read would see uncommitted rows, such as change ids that a ROLLBACK
+  // hands out again. Statements inside a transaction run directly
+  serialize(fn) {
+    if (this.inTransaction.getStore()) {
+      return fn();
+    }
+
+    const run = this.txQueue.then(fn);
+    this.txQueue = run.catch(() => {});
+    return run;
+  }
+
+  // Serialize transactions on the shared connection so parallel token syncs
+  // never interleave BEGIN/COMMIT
+  async transaction(fn) {
+    // Nested calls join the surrounding transaction
+    if (this.inTransaction.getStore()) {
+      return await fn();
+    }
+
+    return await this.serialize(async () => {
+      await this.db.exec('BEGIN');
+      try {
+        const result = await this.inTransaction.run(true, fn);
+        await this.db.exec('COMMIT');
+        return result;
+      } catch (error) {
+        await this.db.exec('ROLLBACK');
+        throw error;
+      }
+    });
+  }
+
+  async close() {
+    if (this.db) {
+      await this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+export default SqliteDriver;
@@ -3,194 +3,265 @@ import dotenv from 'dotenv';
 import database from '../database.js';
 import logger from '../logger.js';
 import { safeToNumber } from '../utils/bigint.js';
-import { CONTRACTS } from '../constants.js';
+import { DIRECTION, EVENT_TYPE } from '../constants.js';
+import { getTokens } from '../registry.js';
+import { eventsIngested } from '../metrics.js';
+import TronGridClient, { getApiKeys, eventId } from './trongrid.js';
 
 dotenv.config();
 
+// First transaction on TRON (January 8, 2017); backfills start here when a token declares no startTimestamp
+const TRON_GENESIS_TIMESTAMP = 1483804800000;
+// TronGrid ranges are requested at most one month at a time
+const RANGE_MS = 30 * 24 * 60 * 60 * 1000;
+// Gaps longer than this are logged as a catch-up
+const CATCH_UP_LOG_MS = 60 * 60 * 1000;
+// Ids of recently stored events kept to skip them when polls overlap
+const RECENT_EVENTS_SIZE = 10000;
+
 class TronSync {
   constructor() {
     this.tronWeb = new TronWeb({
       fullHost: process.env.TRON_FULL_NODE || 'https://api.trongrid.io',
-      headers: { 'TRON-PRO-API-KEY': process.env.TRON_GRID_API_KEY }
+      headers: { 'TRON-PRO-API-KEY': getApiKeys()[0] }
     });
+    this.tronGrid = new TronGridClient();
+    this.network = 'TRON';
     this.chunkSize = parseInt(process.env.CHUNK_SIZE || '200'); // Smaller chunks for TRON
+    // Live polling: the delay grows from min to max while polls find nothing new
+    this.minPollInterval = parseInt(process.env.TRON_POLL_MIN_MS || '3000');
+    this.maxPollInterval = parseInt(process.env.TRON_POLL_MAX_MS || '30000');
+    // Each poll re-reads this much before the cursor, for events TronGrid indexed late
+    this.pollOverlap = parseInt(process.env.TRON_POLL_OVERLAP_MS || '30000');
+    this.pollDelay = this.minPollInterval;
+    this.pollTimer = null;
+    this.polling = false;
+    this.recentEvents = new Set();
+    this.lock = Promise.resolve();
+  }
+
+  // Live polls and the periodic sync advance the same cursors, so they take turns
+  exclusive(task) {
+    const run = this.lock.then(task);
+    this.lock = run.catch(() => {});
+    return run;
+  }
+
+  rememberEvents(events) {
+    for (const event of events) {
+      this.recentEvents.add(eventId(event));
+    }
+    // Sets iterate in insertion order, so the first ids are the oldest
+    for (const id of this.recentEvents) {
+      if (this.recentEvents.size <= RECENT_EVENTS_SIZE) {
+        break;
+      }
+      this.recentEvents.delete(id);
+    }
+  }
+
+  // Extract a parameter from the event result, by name when the registry declares one
+  readResult(event, decoding) {
+    return (decoding.name && event.result[decoding.name]) ?? event.result[decoding.index];
   }
 
-  async processEvent(event, token, eventConfig) {
-    // Extract address from event result
-    const address = event.result._user || event.result[0];
+  async processEvent(event, tokenConfig) {
+    const { token } = tokenConfig;
+    const eventName = event.event_name;
+    const eventConfig = tokenConfig.events.find(e => e.name === eventName);
+    if (!eventConfig) {
+      throw new Error(`Unknown TRON event for ${token}: ${eventName}`);
+    }
+
+    const isDestroyedFunds = eventConfig.type === EVENT_TYPE.DESTROYED_FUNDS;
+    const address = this.readResult(event, isDestroyedFunds ?
+      tokenConfig.destroyedFundsDecoding.address : tokenConfig.addressDecoding);
     
     // Convert TRON address to hex format for consistency
     const hexAddress = this.tronWeb.address.toHex(address);
-    
-    // Determine if this is a blacklist or unblacklist event based on event name
-    let isBlacklisted = true;
-    const eventName = event.event_name;
-    
-    // Check if this is an unblacklist event
-    if (eventName === 'RemovedBlackList' || eventName === 'UnBlacklisted') {
-      isBlacklisted = false;
-    }
 
-    return {
+    const entry = {
       address: hexAddress,
       token,
       network: 'TRON',
-      is_blacklisted: isBlacklisted,
+      event_type: eventConfig.type,
+      is_blacklisted: eventConfig.direction === DIRECTION.BLACKLISTED,
+      event_name: eventName,
       block_number: safeToNumber(event.block_number),
       transaction_hash: event.transaction_id,
+      log_index: safeToNumber(event.event_index ?? 0),
       timestamp: safeToNumber(event.block_timestamp)
     };
+
+    if (isDestroyedFunds) {
+      entry.amount = BigInt(this.readResult(event, tokenConfig.destroyedFundsDecoding.amount)).toString();
+    }
+
+    return entry;
   }
 
+  // Collect every event of one type between two block timestamps (ms), in ascending order
   async getContractEvents(contractAddress, eventName, minBlockTimestamp, maxBlockTimestamp) {
     const events = [];
-    
-    // Check if date range is over 1 month (30 days)
-    const oneMonthMs = 30 * 24 * 60 * 60 * 1000;
+    await this.forEachEventPage(contractAddress, eventName, minBlockTimestamp, maxBlockTimestamp, async page => {
+      events.push(...page);
+    });
+    return events;
+  }
+
+  // Page through a timestamp range in windows of at most a month
+  async forEachEventPage(contractAddress, eventName, minBlockTimestamp, maxBlockTimestamp, onPage) {
     const dateRange = maxBlockTimestamp - minBlockTimestamp;
-    
-    if (dateRange > oneMonthMs) {
-      // Split into monthly chunks
-      logger.info(`Date range is ${Math.ceil(dateRange / oneMonthMs)} months, splitting into monthly batches`);
-      
-      let currentStart = minBlockTimestamp;
-      while (currentStart < maxBlockTimestamp) {
-        const currentEnd = Math.min(currentStart + oneMonthMs, maxBlockTimestamp);
-        
-        logger.info(`Fetching batch: ${new Date(currentStart).toISOString()} to ${new Date(currentEnd).toISOString()}`);
-        const batchEvents = await this.fetchEventsForRange(contractAddress, eventName, currentStart, currentEnd);
-        events.push(...batchEvents);
-        
-        currentStart = currentEnd + 1; // Move to next batch
-        
-        // Add a small delay between batches to avoid rate limiting
+    if (dateRange > RANGE_MS) {
+      logger.info(`Date range is ${Math.ceil(dateRange / RANGE_MS)} months, splitting into monthly batches`);
+    }
+
+    let currentStart = minBlockTimestamp;
+    do {
+      const currentEnd = Math.min(currentStart + RANGE_MS, maxBlockTimestamp);
+      await this.fetchEventsForRange(contractAddress, eventName, currentStart, currentEnd, { onPage });
+      currentStart = currentEnd + 1;
+
+      // Add a small delay between batches to avoid rate limiting
+      if (currentStart < maxBlockTimestamp) {
         await new Promise(resolve => setTimeout(resolve, 100));
       }
-    } else {
-      // Single request for smaller date ranges
-      const rangeEvents = await this.fetchEventsForRange(contractAddress, eventName, minBlockTimestamp, maxBlockTimestamp);
-      events.push(...rangeEvents);
+    } while (currentStart < maxBlockTimestamp);
+  }
+
+  // Request the pages of one range oldest first, starting at the given fingerprint, and hand
+  // each page to onPage(events, nextFingerprint); nextFingerprint is null on the last page
+  async fetchEventsForRange(contractAddress, eventName, minBlockTimestamp, maxBlockTimestamp, { fingerprint = null, onPage }) {
+    logger.info(`Fetching TRON events for ${eventName} from ${new Date(minBlockTimestamp).toISOString()} to ${new Date(maxBlockTimestamp).toISOString()}`);
+
+    try {
+      await this.tronGrid.forEachEventPage({
+        contractAddress, eventName, minBlockTimestamp, maxBlockTimestamp, fingerprint, onPage
+      });
+    } catch (error) {
+      logger.error(`Error fetching TRON events for ${eventName}: ${error.message}`);
+      throw error;
     }
+  }
 
-    return events;
+  async processEvents(events, tokenConfig) {
+    const entries = [];
+    for (const event of events) {
+      entries.push(await this.processEvent(event, tokenConfig));
+    }
+    return entries;
   }
 
-  async fetchEventsForRange(contractAddress, eventName, minBlockTimestamp, maxBlockTimestamp) {
-    const events = [];
-    let fingerprint = '';
-    
-    try {
-      while (true) {
-        logger.info(`Fetching TRON events for ${eventName} from ${new Date(minBlockTimestamp).toISOString()} to ${new Date(maxBlockTimestamp).toISOString()}`);
-        const url = `${this.tronWeb.fullNode.host}/v1/contracts/${contractAddress}/events`;
-        const params = new URLSearchParams({
-          event_name: eventName,
-          min_block_timestamp: minBlockTimestamp,
-          max_block_timestamp: maxBlockTimestamp,
-          limit: 100
-        });
-        
-        if (fingerprint) {
-          params.append('fingerprint', fingerprint);
-        }
+  // Fetch one event type from its stored cursor up to toTimestamp. Without a cursor the
+  // backfill starts at the token's deployment; the cursor is saved with every page. With an
+  // overlap the first range starts that many ms before the cursor.
+  async syncEventType(tokenConfig, eventName, toTimestamp, { overlap = 0 } = {}) {
+    const { token, address: contractAddress } = tokenConfig;
+    const startTimestamp = tokenConfig.startTimestamp ?? TRON_GENESIS_TIMESTAMP;
 
-        const response = await fetch(`${url}?${params}`, {
-          headers: {
-            'TRON-PRO-API-KEY': process.env.TRON_GRID_API_KEY || ''
-          }
-        });
+    let cursor = await database.getTronCursor(token, eventName);
+    if (cursor && cursor.covered_from > startTimestamp) {
+      logger.warn(`${token} TRON ${eventName} coverage starts after the registry start, refetching from ${new Date(startTimestamp).toISOString()}`);
+      cursor = null;
+    }
 
-        if (!response.ok) {
-          throw new Error(`TronGrid API error: ${response.status} ${response.statusText}`);
-        }
+    let coveredTo = cursor?.covered_to ?? startTimestamp;
+    // An interrupted range resumes at its next page
+    let range = cursor?.fingerprint ?
+      { start: cursor.range_start, end: cursor.range_end, fingerprint: cursor.fingerprint } : null;
+    let inserted = 0;
 
-        const data = await response.json();
-        
-        if (!data.data || data.data.length === 0) {
-          break;
-        }
+    if (range) {
+      logger.info(`Resuming ${token} TRON ${eventName} sync at ${new Date(coveredTo).toISOString()}`);
+    } else if (cursor && toTimestamp - coveredTo > CATCH_UP_LOG_MS) {
+      logger.info(`Catching up ${token} TRON ${eventName} from ${new Date(coveredTo).toISOString()}`);
+    }
 
-        events.push(...data.data);
-        
-        // Check if there are more results
-        if (!data.meta?.fingerprint || data.data.length < 200) {
-          break;
+    let from = range ? null : Math.max(coveredTo - overlap, startTimestamp);
+    while (range || coveredTo < toTimestamp) {
+      // Ranges start at the covered timestamp itself; events already stored there are skipped on insert
+      range ??= { start: from ?? coveredTo, end: Math.min(coveredTo + RANGE_MS, toTimestamp), fingerprint: null };
+      from = null;
+      const { start, end } = range;
+
+      await this.fetchEventsForRange(contractAddress, eventName, start, end, {
+        fingerprint: range.fingerprint,
+        onPage: async (events, next) => {
+          // Pages come oldest first, so everything up to the page's last event is stored
+          coveredTo = next ?
+            Math.max(coveredTo, safeToNumber(events[events.length - 1].block_timestamp)) : end;
+
+          // Overlapping ranges return events stored moments ago; skip those before processing
+          const fresh = events.filter(event => !this.recentEvents.has(eventId(event)));
+          inserted += await database.recordTronPage(await this.processEvents(fresh, tokenConfig), token, eventName, {
+            coveredFrom: startTimestamp,
+            coveredTo,
+            rangeStart: next ? start : null,
+            rangeEnd: next ? end : null,
+            fingerprint: next
+          });
+          this.rememberEvents(fresh);
         }
-        
-        fingerprint = data.meta.fingerprint;
+      });
+
+      range = null;
+    }
+
+    return inserted;
+  }
+
+  // Refetch the whole history into the resync staging tables and swap it in at the end
+  async fullSyncToken(tokenConfig, currentBlockNumber, currentTimestamp) {
+    const { token, address: contractAddress, events: eventConfigs } = tokenConfig;
+    const startTimestamp = tokenConfig.startTimestamp ?? TRON_GENESIS_TIMESTAMP;
+
+    await database.beginResync('TRON', token);
+    try {
+      for (const { name } of eventConfigs) {
+        await this.forEachEventPage(contractAddress, name, startTimestamp, currentTimestamp, async events => {
+          await database.stageResyncEntries(await this.processEvents(events, tokenConfig));
+        });
       }
+
+      const result = await database.commitResync('TRON', token, { fromBlock: 0, toBlock: currentBlockNumber });
+      for (const { name } of eventConfigs) {
+        await database.saveTronCursor(token, name, { coveredFrom: startTimestamp, coveredTo: currentTimestamp });
+      }
+      return result;
     } catch (error) {
-      logger.error(`Error fetching TRON events for ${eventName}: ${error.message}`);
+      // The live tables were never touched; just drop the partial resync
+      await database.abortResync('TRON', token);
       throw error;
     }
-
-    return events;
   }
 
-  async syncToken(tokenSymbol, contractConfig, forceFullSync = false) {
+  async syncToken(tokenConfig, forceFullSync = false) {
+    const { token: tokenSymbol, events: eventConfigs } = tokenConfig;
+
     try {
-      const { address: contractAddress, events: eventConfigs } = contractConfig;
-      
-      let lastSyncedBlock = 0;
-      if (!forceFullSync) {
-        lastSyncedBlock = await database.getLastSyncedBlock('TRON', tokenSymbol);
-      }
-      
       // Get current block info
       const currentBlock = await this.tronWeb.trx.getCurrentBlock();
       const currentBlockNumber = currentBlock.block_header.raw_data.number;
       const currentTimestamp = currentBlock.block_header.raw_data.timestamp;
 
-      // If we have a last synced block and not forcing full sync, get its timestamp
-      // let fromTimestamp = 1483804800000; // the first txn on TRON: January 8, 2017
-      let fromTimestamp = new Date().getTime() - (365 * 24 * 60 * 60 * 1000); // Set a range to fetch latest 1 year
-      if (lastSyncedBlock > 0 && !forceFullSync) {
-        try {
-          const lastBlock = await this.tronWeb.trx.getBlockByNumber(lastSyncedBlock);
-          fromTimestamp = lastBlock.block_header.raw_data.timestamp + 1;
-        } catch {
-          // If we can't get the block, start from a reasonable time ago
-          fromTimestamp = currentTimestamp - (30 * 24 * 60 * 60 * 1000); // 30 days ago
-        }
-      }
-
-      const syncType = forceFullSync ? 'FULL' : (lastSyncedBlock > 0 ? 'INCREMENTAL' : 'INITIAL');
-      logger.info(`Starting ${tokenSymbol} TRON ${syncType} sync from timestamp ${new Date(fromTimestamp).toISOString()} to ${new Date(currentTimestamp).toISOString()}`);
-
-      // Fetch events for all configured event types
-      const allEventPromises = eventConfigs.map(eventConfig => 
-        this.getContractEvents(contractAddress, eventConfig.eventName, fromTimestamp, currentTimestamp)
-      );
-
-      const allEventResults = await Promise.all(allEventPromises);
-      const allEvents = allEventResults.flat();
-      
-      if (allEvents.length > 0) {
-        logger.info(`Found ${allEvents.length} events for ${tokenSymbol} on TRON`);
-        
-        // Sort events by block number to process in order
-        allEvents.sort((a, b) => a.block_number - b.block_number);
-        
-        const entries = [];
-        for (const event of allEvents) {
-          const entry = await this.processEvent(event, tokenSymbol, eventConfigs);
-          entries.push(entry);
-        }
-        
-        if (forceFullSync) {
-          // For full sync, we might want to clear existing data first
-          logger.info(`Clearing existing ${tokenSymbol} TRON data before full sync`);
-          await database.clearBlacklistData('TRON', tokenSymbol);
-        }
-        
-        await database.batchUpsertBlacklistEntries(entries);
-        logger.info(`Processed ${entries.length} ${tokenSymbol} TRON blacklist entries`);
+      if (forceFullSync) {
+        logger.info(`Starting ${tokenSymbol} TRON FULL sync up to ${new Date(currentTimestamp).toISOString()}`);
+        const result = await this.fullSyncToken(tokenConfig, currentBlockNumber, currentTimestamp);
+        eventsIngested.inc({ network: 'TRON', token: tokenSymbol }, result.added);
+        logger.info(`Swapped in ${tokenSymbol} TRON resync: ${result.added} events added, ${result.removed} removed, ${result.transitions} status changes`);
       } else {
-        logger.info(`No new events found for ${tokenSymbol} on TRON`);
+        logger.info(`Starting ${tokenSymbol} TRON sync up to ${new Date(currentTimestamp).toISOString()}`);
+        let inserted = 0;
+        for (const { name } of eventConfigs) {
+          inserted += await this.syncEventType(tokenConfig, name, currentTimestamp);
+        }
+        eventsIngested.inc({ network: 'TRON', token: tokenSymbol }, inserted);
+        logger.info(`Stored ${inserted} new ${tokenSymbol} TRON events`);
       }
 
       await database.updateSyncStatus('TRON', tokenSymbol, currentBlockNumber);
+      // TRON blocks are final after solidification, so the head doubles as the confirmed block
+      await database.updateChainHead('TRON', currentBlockNumber, currentBlockNumber);
       logger.info(`${tokenSymbol} TRON sync completed. Last block: ${currentBlockNumber}`);
       
     } catch (error) {
@@ -199,79 +270,75 @@ class TronSync {
     }
   }
 
-  async syncUSDT(forceFullSync = false) {
-    if (!CONTRACTS.TRON.USDT) {
-      logger.warn('USDT contract not configured for TRON');
-      return;
-    }
-    await this.syncToken('USDT', CONTRACTS.TRON.USDT, forceFullSync);
+  async syncAll(forceFullSync = false) {
+    await this.exclusive(async () => {
+      logger.info(`Starting TRON ${forceFullSync ? 'FULL ' : ''}sync...`);
+
+      // Sync all tokens configured for TRON
+      for (const tokenConfig of getTokens('TRON')) {
+        await this.syncToken(tokenConfig, forceFullSync);
+      }
+
+      logger.info('TRON sync completed');
+    });
   }
 
-  async syncUSDC(forceFullSync = false) {
-    if (!CONTRACTS.TRON.USDC) {
-      logger.warn('USDC contract not configured for TRON');
-      return;
+  // One live poll: every event type from its cursor (minus the overlap) up to the current block.
+  // After downtime the cursor is far behind and the poll catches up range by range.
+  async poll() {
+    const currentBlock = await this.tronWeb.trx.getCurrentBlock();
+    const currentBlockNumber = currentBlock.block_header.raw_data.number;
+    const currentTimestamp = currentBlock.block_header.raw_data.timestamp;
+    let total = 0;
+
+    for (const tokenConfig of getTokens('TRON')) {
+      const { token } = tokenConfig;
+      let inserted = 0;
+      for (const { name } of tokenConfig.events) {
+        inserted += await this.syncEventType(tokenConfig, name, currentTimestamp, { overlap: this.pollOverlap });
+      }
+
+      if (inserted > 0) {
+        eventsIngested.inc({ network: 'TRON', token }, inserted);
+        logger.info(`Stored ${inserted} new ${token} TRON events`);
+      }
+      await database.updateSyncStatus('TRON', token, currentBlockNumber);
+      total += inserted;
     }
-    await this.syncToken('USDC', CONTRACTS.TRON.USDC, forceFullSync);
-  }
 
-  async syncAll(forceFullSync = false) {
-    logger.info(`Starting TRON ${forceFullSync ? 'FULL ' : ''}sync...`);
-    
-    // Sync all available tokens
-    await this.syncUSDT(forceFullSync);
-    await this.syncUSDC(forceFullSync);
-    
-    logger.info('TRON sync completed');
+    await database.updateChainHead('TRON', currentBlockNumber, currentBlockNumber);
+    return total;
   }
 
-  async liveSync() {
+  // TRON has no log subscriptions, so live sync polls TronGrid from the persisted cursors
+  liveSync() {
     logger.info('Starting TRON live sync...');
-    
-    // TRON doesn't have WebSocket support like Ethereum
-    // We'll use polling with a shorter interval
-    const pollInterval = 3000; // 3 seconds
+    this.polling = true;
+    this.pollDelay = this.minPollInterval;
 
     const pollForEvents = async () => {
       try {
-        const currentBlock = await this.tronWeb.trx.getCurrentBlock();
-        const currentTimestamp = currentBlock.block_header.raw_data.timestamp;
-        const fromTimestamp = currentTimestamp - (pollInterval * 2); // Look back 2x poll interval
-
-        // Poll for events from all configured tokens
-        const tokenPromises = [];
-        
-        if (CONTRACTS.TRON.USDT) {
-          const usdtPromises = CONTRACTS.TRON.USDT.events.map(eventConfig =>
-            this.getContractEvents(CONTRACTS.TRON.USDT.address, eventConfig.eventName, fromTimestamp, currentTimestamp)
-          );
-          tokenPromises.push(...usdtPromises.map(p => p.then(events => ({ token: 'USDT', events }))));
-        }
-
-        if (CONTRACTS.TRON.USDC) {
-          const usdcPromises = CONTRACTS.TRON.USDC.events.map(eventConfig =>
-            this.getContractEvents(CONTRACTS.TRON.USDC.address, eventConfig.eventName, fromTimestamp, currentTimestamp)
-          );
-          tokenPromises.push(...usdcPromises.map(p => p.then(events => ({ token: 'USDC', events }))));
-        }
-
-        const results = await Promise.all(tokenPromises);
-        
-        for (const result of results) {
-          for (const event of result.events) {
-            logger.info(`New TRON ${result.token} event:`, event);
-            const tokenConfig = CONTRACTS.TRON[result.token];
-            const entry = await this.processEvent(event, result.token, tokenConfig.events);
-            await database.upsertBlacklistEntry(entry);
-          }
-        }
+        const inserted = await this.exclusive(() => this.poll());
+        // Poll at the minimum interval while events arrive and back off while nothing changes
+        this.pollDelay = inserted > 0 ?
+          this.minPollInterval : Math.min(Math.ceil(this.pollDelay * 1.5), this.maxPollInterval);
       } catch (error) {
+        // The cursors stay where the failed poll left them, so the next poll picks up the gap
         logger.error('TRON live sync error:', error);
+        this.pollDelay = Math.min(this.pollDelay * 2, this.maxPollInterval);
+      }
+
+      if (this.polling) {
+        this.pollTimer = setTimeout(pollForEvents, this.pollDelay);
       }
     };
 
-    // Start polling
-    setInterval(pollForEvents, pollInterval);
+    this.pollTimer = setTimeout(pollForEvents, this.pollDelay);
+  }
+
+  stopLiveSync() {
+    this.polling = false;
+    clearTimeout(this.pollTimer);
   }
 }
 const normalizedArgv = process.argv[1].replace(/\\/g, '/');
@@ -297,11 +364,15 @@ if (isMainModule) {
   
   // Start live sync if not in one-time mode
   if (!isOnceMode) {
-    await sync.liveSync();
+    sync.liveSync();
     
-    // Also run periodic full sync to catch any missed events
+    // Also run periodic sync as a safety net for anything the live sync missed
     setInterval(async () => {
-      await sync.syncAll(false); // Don't force full sync on periodic runs
+      try {
+        await sync.syncAll(false); // Don't force full sync on periodic runs
+      } catch (error) {
+        logger.error('Periodic TRON sync failed:', error);
+      }
     }, parseInt(process.env.SYNC_INTERVAL_MINUTES || '10') * 60 * 1000);
   }
 }
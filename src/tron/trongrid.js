@@ -0,0 +1,209 @@
+import dotenv from 'dotenv';
+import logger from '../logger.js';
+import { tronGridPages, tronGridRetries } from '../metrics.js';
+
+dotenv.config();
+
+// Largest page TronGrid serves for contract events
+const PAGE_SIZE = 200;
+
+// Responses worth retrying; anything else (bad parameters, invalid key) fails immediately
+const RETRYABLE_STATUS = new Set([408, 429, 500, 502, 503, 504]);
+
+/**
+ * API keys to rotate through: TRON_GRID_API_KEYS (comma-separated), else TRON_GRID_API_KEY
+ * @returns {string[]} - Configured keys, empty when TronGrid is used without a key
+ */
+export function getApiKeys() {
+  const keys = process.env.TRON_GRID_API_KEYS || process.env.TRON_GRID_API_KEY || '';
+  return keys.split(',').map(key => key.trim()).filter(Boolean);
+}
+
+/**
+ * Identifies a TRON contract event: transaction id plus the event's index in the transaction
+ * @param {Object} event - Event as returned by TronGrid
+ * @returns {string}
+ */
+export function eventId(event) {
+  return `${event.transaction_id}:${event.event_index ?? 0}`;
+}
+
+// Retry-After is either a number of seconds or an HTTP date; returns milliseconds or null
+function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(seconds * 1000, 0);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// TronGrid REST client: retries transient failures with jittered backoff, honours Retry-After,
+// spreads requests over several API keys and checks event pages for repeats
+class TronGridClient {
+  constructor({ host = process.env.TRON_FULL_NODE || 'https://api.trongrid.io', apiKeys = getApiKeys() } = {}) {
+    this.host = host.replace(/\/$/, '');
+    this.keys = apiKeys;
+    this.keyIndex = 0;
+    // Rate-limited keys are skipped until the time stored here
+    this.cooldowns = new Map();
+    this.timeout = parseInt(process.env.TRON_GRID_TIMEOUT_MS || '30000');
+    this.maxRetries = parseInt(process.env.TRON_GRID_MAX_RETRIES || '6');
+    this.baseDelay = parseInt(process.env.TRON_GRID_RETRY_BASE_MS || '1000');
+    this.maxDelay = parseInt(process.env.TRON_GRID_RETRY_MAX_MS || '60000');
+  }
+
+  // Round-robin over keys that aren't cooling down; when all are, the one available soonest
+  nextKey() {
+    if (this.keys.length === 0) {
+      return null;
+    }
+
+    const now = Date.now();
+    for (let i = 0; i < this.keys.length; i++) {
+      const key = this.keys[(this.keyIndex + i) % this.keys.length];
+      if ((this.cooldowns.get(key) || 0) <= now) {
+        this.keyIndex = (this.keyIndex + i + 1) % this.keys.length;
+        return key;
+      }
+    }
+
+    return this.keys.reduce((soonest, key) =>
+      this.cooldowns.get(key) < this.cooldowns.get(soonest) ? key : soonest);
+  }
+
+  hasAvailableKey() {
+    const now = Date.now();
+    return this.keys.some(key => (this.cooldowns.get(key) || 0) <= now);
+  }
+
+  // Exponential backoff with jitter: between half and all of base * 2^(attempt - 1), capped
+  retryDelay(attempt) {
+    const ceiling = Math.min(this.baseDelay * 2 ** (attempt - 1), this.maxDelay);
+    return Math.floor(ceiling / 2 + Math.random() * ceiling / 2);
+  }
+
+  async get(path, params) {
+    const url = `${this.host}${path}?${new URLSearchParams(params)}`;
+
+    for (let attempt = 1; ; attempt++) {
+      const key = this.nextKey();
+      let response = null;
+      let error = null;
+
+      try {
+        response = await fetch(url, {
+          headers: key ? { 'TRON-PRO-API-KEY': key } : {},
+          signal: AbortSignal.timeout(this.timeout)
+        });
+      } catch (fetchError) {
+        // Network failures and timeouts
+        error = fetchError;
+      }
+
+      if (response?.ok) {
+        return await response.json();
+      }
+
+      if (response) {
+        error = new Error(`TronGrid API error: ${response.status} ${response.statusText}`);
+        if (!RETRYABLE_STATUS.has(response.status)) {
+          throw error;
+        }
+      }
+
+      if (attempt > this.maxRetries) {
+        throw error;
+      }
+
+      let delay = this.retryDelay(attempt);
+      const retryAfter = parseRetryAfter(response?.headers.get('retry-after'));
+      if (retryAfter !== null) {
+        delay = retryAfter;
+      }
+
+      if (response?.status === 429 && key) {
+        this.cooldowns.set(key, Date.now() + delay);
+        // Another key that isn't rate limited can be used right away
+        if (this.hasAvailableKey()) {
+          delay = 0;
+        }
+      }
+
+      tronGridRetries.inc({ reason: response ? String(response.status) : 'network' });
+      logger.warn(`TronGrid request ${path} failed (attempt ${attempt}/${this.maxRetries + 1}), retrying in ${delay}ms: ${error.message}`);
+      await sleep(delay);
+    }
+  }
+
+  /**
+   * Pages through the events of one contract event type between two block timestamps, oldest first.
+   * Events already returned by an earlier page are dropped; a page made up only of repeats or a
+   * fingerprint seen before means pagination went wrong, and the range fails instead of looping.
+   * @param {Object} options
+   * @param {string} options.contractAddress - Base58 contract address
+   * @param {string} options.eventName - Event name, e.g. AddedBlackList
+   * @param {number} options.minBlockTimestamp - Range start in ms (inclusive)
+   * @param {number} options.maxBlockTimestamp - Range end in ms (inclusive)
+   * @param {string|null} options.fingerprint - Page to start at, to resume an interrupted range
+   * @param {Function} options.onPage - Called with (events, nextFingerprint); nextFingerprint is null on the last page
+   */
+  async forEachEventPage({ contractAddress, eventName, minBlockTimestamp, maxBlockTimestamp, fingerprint = null, onPage }) {
+    const seenEvents = new Set();
+    const seenFingerprints = new Set(fingerprint ? [fingerprint] : []);
+
+    while (true) {
+      const params = {
+        event_name: eventName,
+        min_block_timestamp: minBlockTimestamp,
+        max_block_timestamp: maxBlockTimestamp,
+        order_by: 'block_timestamp,asc',
+        limit: PAGE_SIZE
+      };
+      if (fingerprint) {
+        params.fingerprint = fingerprint;
+      }
+
+      const data = await this.get(`/v1/contracts/${contractAddress}/events`, params);
+      tronGridPages.inc({ event_name: eventName });
+
+      const page = data.data || [];
+      const events = page.filter(event => {
+        const id = eventId(event);
+        if (seenEvents.has(id)) {
+          return false;
+        }
+        seenEvents.add(id);
+        return true;
+      });
+
+      if (page.length > 0 && events.length === 0) {
+        throw new Error(`TronGrid returned a repeated page of ${eventName} events (fingerprint ${fingerprint})`);
+      }
+      if (events.length < page.length) {
+        logger.warn(`TronGrid page of ${eventName} events overlaps the previous one, dropped ${page.length - events.length} repeated events`);
+      }
+
+      // TronGrid only returns a fingerprint while more pages follow
+      const next = page.length > 0 ? data.meta?.fingerprint || null : null;
+      if (next && seenFingerprints.has(next)) {
+        throw new Error(`TronGrid returned fingerprint ${next} twice while paging ${eventName} events`);
+      }
+
+      await onPage(events, next);
+
+      if (!next) {
+        return;
+      }
+      seenFingerprints.add(next);
+      fingerprint = next;
+    }
+  }
+}
+
+export default TronGridClient;
@@ -0,0 +1,106 @@
+import TronWeb from 'tronweb';
+import { getNetwork, getNetworks } from '../registry.js';
+
+// Stored format: lowercase 0x-prefixed hex on EVM chains, lowercase 41-prefixed hex on TRON.
+// TRON addresses are also accepted as base58 (T...) or as 0x-prefixed hex when the network is TRON.
+export const EVM_ADDRESS_PATTERN = '^0x[0-9a-fA-F]{40}$';
+export const TRON_HEX_ADDRESS_PATTERN = '^41[0-9a-fA-F]{40}$';
+export const TRON_BASE58_ADDRESS_PATTERN = '^T[1-9A-HJ-NP-Za-km-z]{33}$';
+
+const EVM_ADDRESS = new RegExp(EVM_ADDRESS_PATTERN);
+const TRON_HEX_ADDRESS = new RegExp(TRON_HEX_ADDRESS_PATTERN);
+const TRON_BASE58_ADDRESS = new RegExp(TRON_BASE58_ADDRESS_PATTERN);
+
+export function isEvmAddress(address) {
+  return EVM_ADDRESS.test(address);
+}
+
+// Base58 addresses must also carry a valid checksum
+export function isTronBase58Address(address) {
+  return TRON_BASE58_ADDRESS.test(address) && TronWeb.isAddress(address);
+}
+
+export function isTronAddress(address) {
+  return TRON_HEX_ADDRESS.test(address) || isTronBase58Address(address);
+}
+
+// Network type implied by the address format alone; 0x-hex is treated as EVM unless a TRON network is given
+export function detectNetworkType(address) {
+  if (isTronAddress(address)) {
+    return 'tron';
+  }
+  return isEvmAddress(address) ? 'evm' : null;
+}
+
+// Whether the address is in a format accepted for the network; unknown networks never match
+export function addressMatchesNetwork(address, network) {
+  switch (getNetwork(network)?.type) {
+    case 'evm':
+      return isEvmAddress(address);
+    case 'tron':
+      return isTronAddress(address) || isEvmAddress(address);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Converts an address to the form stored in the database
+ * @param {string} address - Address in any supported format
+ * @param {string|null} network - Network the address belongs to, detected from the format when omitted
+ * @returns {Object|null} - { address, type } or null when the address is not valid for the network
+ */
+export function normalizeAddress(address, network = null) {
+  const type = network ? getNetwork(network)?.type : detectNetworkType(address);
+
+  if (type === 'tron' && (isTronAddress(address) || isEvmAddress(address))) {
+    const hex = isTronBase58Address(address) ? TronWeb.address.toHex(address) : address.replace(/^0x/i, '41');
+    return { address: hex.toLowerCase(), type };
+  }
+
+  if (type === 'evm' && isEvmAddress(address)) {
+    return { address: address.toLowerCase(), type };
+  }
+
+  return null;
+}
+
+/**
+ * Resolves the stored address and the candidate networks for a lookup
+ * @param {string} address - Address in any supported format
+ * @param {string|null} network - Requested network, if any
+ * @returns {Object} - { address, networks }, where networks is null when any network may match
+ */
+export function resolveAddressLookup(address, network = null) {
+  const normalized = normalizeAddress(address, network);
+
+  if (!normalized) {
+    return { address: address.toLowerCase(), networks: network ? [network] : null };
+  }
+
+  return {
+    address: normalized.address,
+    networks: network ? [network] : getNetworks(normalized.type).map(n => n.name)
+  };
+}
+
+// Hex and base58 representations of a stored address; base58 is null outside TRON
+export function formatAddress(address, network) {
+  const isTron = getNetwork(network)?.type === 'tron' && TRON_HEX_ADDRESS.test(address);
+  return {
+    address,
+    address_base58: isTron ? TronWeb.address.fromHex(address) : null
+  };
+}
+
+// Stored and base58 forms of a requested address; unrecognized input is only lowercased
+export function describeAddress(address, network = null) {
+  const normalized = normalizeAddress(address, network);
+  if (!normalized) {
+    return { address: address.toLowerCase(), address_base58: null };
+  }
+  return {
+    address: normalized.address,
+    address_base58: normalized.type === 'tron' ? TronWeb.address.fromHex(normalized.address) : null
+  };
+}
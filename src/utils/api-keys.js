@@ -0,0 +1,76 @@
+import dotenv from 'dotenv';
+import database from '../database.js';
+import { generateApiKey, parseScopes } from '../api/auth.js';
+import { API_SCOPES } from '../constants.js';
+
+dotenv.config();
+
+// Read "--flag value" pairs from the command line
+function getOption(args, name) {
+  const index = args.indexOf(`--${name}`);
+  return index >= 0 ? args[index + 1] : undefined;
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  await database.init(process.env.DATABASE_PATH || './data/blacklist.db');
+
+  const [command, ...args] = process.argv.slice(2);
+
+  switch (command) {
+    case 'create': {
+      const name = args[0];
+      const scopes = parseScopes(getOption(args, 'scopes') || 'read');
+      const rateLimit = getOption(args, 'rate-limit');
+      const quota = getOption(args, 'daily-quota');
+
+      if (!name || name.startsWith('--')) {
+        console.error('Usage: api-keys.js create <name> [--scopes read,admin] [--rate-limit N] [--daily-quota N]');
+        process.exit(1);
+      }
+
+      if (!scopes.every(scope => API_SCOPES.includes(scope))) {
+        console.error(`Scopes must be a subset of: ${API_SCOPES.join(', ')}`);
+        process.exit(1);
+      }
+
+      const { key, keyPrefix, keyHash } = generateApiKey();
+      const apiKey = await database.createApiKey({
+        name,
+        keyPrefix,
+        keyHash,
+        scopes,
+        rateLimitPerMinute: rateLimit ? parseInt(rateLimit) : null,
+        dailyQuota: quota ? parseInt(quota) : null
+      });
+
+      console.log(`Created API key ${apiKey.id} (${apiKey.scopes}) for ${apiKey.name}`);
+      console.log(`Key (shown once): ${key}`);
+      break;
+    }
+
+    case 'revoke': {
+      const revoked = await database.revokeApiKey(parseInt(args[0]));
+      console.log(revoked ? `Revoked API key ${args[0]}` : `No active API key with id ${args[0]}`);
+      break;
+    }
+
+    case 'list':
+    default: {
+      const apiKeys = await database.getApiKeys();
+      console.table(apiKeys.map(k => ({
+        id: k.id,
+        name: k.name,
+        prefix: k.key_prefix,
+        scopes: k.scopes,
+        rate_limit: k.rate_limit_per_minute ?? 'default',
+        daily_quota: k.daily_quota ?? 'default',
+        today: k.requests_today,
+        revoked: Boolean(k.revoked_at)
+      })));
+      break;
+    }
+  }
+
+  await database.close();
+}
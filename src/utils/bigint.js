@@ -13,6 +13,10 @@ export function safeToNumber(value) {
   }
   
   if (typeof value === 'string') {
+    // JSON-RPC quantities are 0x-prefixed hex
+    if (/^0x[0-9a-f]+$/i.test(value)) {
+      return safeToNumber(BigInt(value));
+    }
     const parsed = parseInt(value, 10);
     if (isNaN(parsed)) {
       throw new Error(`Cannot convert string "${value}" to number`);
@@ -66,4 +70,19 @@ export function safeMin(a, b) {
  */
 export function safeMax(a, b) {
   return Math.max(safeToNumber(a), safeToNumber(b));
-} 
\ No newline at end of file
+} 
+/**
+ * Formats an integer amount in base units as a decimal string
+ * @param {BigInt|number|string} value - The amount in base units
+ * @param {number} decimals - The token's decimals
+ * @returns {string} - The formatted amount, e.g. "1234.5" for 1234500000 with 6 decimals
+ */
+export function formatUnits(value, decimals) {
+  const amount = BigInt(value);
+  const base = 10n ** BigInt(decimals);
+  const sign = amount < 0n ? '-' : '';
+  const absolute = amount < 0n ? -amount : amount;
+  const fraction = (absolute % base).toString().padStart(decimals, '0').replace(/0+$/, '');
+
+  return `${sign}${absolute / base}${fraction ? '.' + fraction : ''}`;
+}
@@ -0,0 +1,21 @@
+/**
+ * Runs fn over items with at most `limit` calls in flight
+ * @param {Array} items - Inputs, processed in order as workers free up
+ * @param {number} limit - Maximum number of concurrent calls
+ * @param {Function} fn - Async function called with each item
+ * @returns {Promise<Array>} - Results in item order
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index]);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
@@ -0,0 +1,73 @@
+import { DIRECTION } from '../constants.js';
+import { toMilliseconds, toISOString } from './timestamp.js';
+
+/**
+ * Sorts blacklist events chronologically across networks
+ * @param {Array} events - Rows from blacklist_events
+ * @returns {Array} - A new array ordered by time, block and log index
+ */
+export function sortEvents(events) {
+  return [...events].sort((a, b) =>
+    (toMilliseconds(a.timestamp, a.network) - toMilliseconds(b.timestamp, b.network)) ||
+    (a.block_number - b.block_number) ||
+    (a.log_index - b.log_index)
+  );
+}
+
+/**
+ * Whether a row's block is above its network's confirmed block and may still be reorged away
+ * @param {Object} row - Row with network and block_number
+ * @param {Object} confirmedBlocks - Map of network to last confirmed block
+ * @returns {boolean}
+ */
+export function isPending(row, confirmedBlocks) {
+  const confirmed = confirmedBlocks[row.network];
+  return confirmed !== undefined && confirmed !== null && row.block_number > confirmed;
+}
+
+/**
+ * Computes the frozen periods of an address from its blacklist events.
+ * Repeated blacklist events inside an open period extend it, and unblacklist
+ * events without an open period are ignored.
+ * @param {Array} events - Rows from blacklist_events for one address
+ * @param {number} now - Current time in milliseconds, used for open periods
+ * @returns {Array} - Frozen periods per token and network
+ */
+export function buildFrozenPeriods(events, now = Date.now()) {
+  const open = new Map();
+  const periods = [];
+
+  for (const event of sortEvents(events)) {
+    const key = `${event.token}|${event.network}`;
+    const point = {
+      block_number: event.block_number,
+      transaction_hash: event.transaction_hash,
+      timestamp: event.timestamp,
+      time: toISOString(event.timestamp, event.network)
+    };
+
+    if (event.direction === DIRECTION.BLACKLISTED) {
+      if (!open.has(key)) {
+        const period = { token: event.token, network: event.network, frozen_at: point, unfrozen_at: null };
+        open.set(key, period);
+        periods.push(period);
+      }
+    } else if (open.has(key)) {
+      open.get(key).unfrozen_at = point;
+      open.delete(key);
+    }
+  }
+
+  return periods.map(period => {
+    const start = toMilliseconds(period.frozen_at.timestamp, period.network);
+    const end = period.unfrozen_at
+      ? toMilliseconds(period.unfrozen_at.timestamp, period.network)
+      : now;
+
+    return {
+      ...period,
+      ongoing: period.unfrozen_at === null,
+      duration_seconds: start === null || end === null ? null : Math.floor((end - start) / 1000)
+    };
+  });
+}
@@ -0,0 +1,65 @@
+import fs from 'fs';
+import readline from 'readline';
+import dotenv from 'dotenv';
+import database from '../database.js';
+import { getNetwork } from '../registry.js';
+
+dotenv.config();
+
+const BATCH_SIZE = 1000;
+
+/**
+ * Loads a local block-time index into block_headers so the sync finds block timestamps without
+ * RPC calls. Each line is "block_number,timestamp[,block_hash]" with the timestamp in seconds;
+ * a header line and blank lines are skipped. Existing headers are kept.
+ * @param {string} network - EVM network the index belongs to
+ * @param {string} filePath - CSV file to read
+ * @returns {Promise<number>} - Rows read from the file
+ */
+export async function importBlockTimes(network, filePath) {
+  if (getNetwork(network)?.type !== 'evm') {
+    throw new Error(`${network} is not an EVM network in the token registry`);
+  }
+
+  const lines = readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity });
+  let batch = [];
+  let count = 0;
+
+  for await (const line of lines) {
+    const [number, timestamp, hash] = line.split(',').map(field => field.trim());
+    if (!/^\d+$/.test(number ?? '') || !/^\d+$/.test(timestamp ?? '')) {
+      continue;
+    }
+
+    batch.push({ block_number: parseInt(number), timestamp: parseInt(timestamp), block_hash: hash || null });
+    if (batch.length === BATCH_SIZE) {
+      await database.saveBlockHeaders(network, batch, { replace: false });
+      count += batch.length;
+      batch = [];
+    }
+  }
+
+  await database.saveBlockHeaders(network, batch, { replace: false });
+  return count + batch.length;
+}
+
+// Run if called directly: node src/utils/import-block-times.js <NETWORK> <file.csv>
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const [network, filePath] = process.argv.slice(2);
+
+  if (!network || !filePath) {
+    console.error('Usage: import-block-times.js <NETWORK> <file.csv>');
+    process.exit(1);
+  }
+
+  try {
+    await database.init(process.env.DATABASE_PATH || './data/blacklist.db');
+    const count = await importBlockTimes(network.toUpperCase(), filePath);
+    console.log(`Imported ${count} ${network.toUpperCase()} block timestamps`);
+  } catch (error) {
+    console.error('Import failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await database.close();
+  }
+}
@@ -0,0 +1,36 @@
+import dotenv from 'dotenv';
+import { openStorage } from '../storage/index.js';
+import { getMigrationStatus, migrate } from '../storage/migrations.js';
+
+dotenv.config();
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const args = process.argv.slice(2);
+  const db = await openStorage({
+    dbPath: process.env.DATABASE_PATH || './data/blacklist.db',
+    databaseUrl: process.env.DATABASE_URL
+  });
+
+  try {
+    if (args.includes('status')) {
+      const { current, latest, applied, pending } = await getMigrationStatus(db);
+      console.log(`Database ${db.description}: schema version ${current}, latest ${latest}`);
+      applied.forEach(m => console.log(`  applied  ${m.label}`));
+      pending.forEach(m => console.log(`  pending  ${m.label}`));
+    } else if (args.includes('--dry-run')) {
+      const pending = await migrate(db, { dryRun: true });
+      console.log(pending.length === 0 ? 'No pending migrations' : 'Would apply:');
+      pending.forEach(m => console.log(`  ${m.label}`));
+    } else {
+      const applied = await migrate(db);
+      console.log(applied.length === 0 ? 'No pending migrations' : 'Applied:');
+      applied.forEach(m => console.log(`  ${m.label}`));
+    }
+  } catch (error) {
+    console.error('Migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await db.close();
+  }
+}
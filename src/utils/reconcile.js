@@ -0,0 +1,205 @@
+import dotenv from 'dotenv';
+import database from '../database.js';
+import logger from '../logger.js';
+import Validator from './validate.js';
+import EvmSync from '../evm/sync.js';
+import TronSync from '../tron/sync.js';
+import { safeToNumber } from './bigint.js';
+import { getTokens, getRpcUrl } from '../registry.js';
+
+dotenv.config();
+
+// Mismatches listed individually in a run's report; the counts cover all of them
+const REPORT_MISMATCH_LIMIT = 1000;
+
+/**
+ * Compares the stored status of every known address with the on-chain status view of every
+ * token on its network. A mismatch that persists once the sync has caught up with the checked
+ * block is healed with a correction in blacklist_corrections at that block, so the blacklist row
+ * and webhooks follow the chain while blacklist_events keeps only real chain events. Each run is
+ * recorded in reconciliation_runs.
+ */
+class Reconciler {
+  constructor({ dryRun = false, syncers = [] } = {}) {
+    this.dryRun = dryRun;
+    this.validator = new Validator();
+    this.delay = parseInt(process.env.RECONCILE_DELAY_MS || '100');
+    // Sync instances by network; the ones the caller doesn't pass are created on first use
+    this.syncers = new Map(syncers.map(sync => [sync.network, sync]));
+  }
+
+  // Networks that can be checked: TRON and every EVM chain with an RPC URL
+  defaultNetworks() {
+    return [...new Set(getTokens().map(t => t.network))]
+      .filter(network => network === 'TRON' || getRpcUrl(network));
+  }
+
+  getSyncer(network) {
+    if (!this.syncers.has(network)) {
+      this.syncers.set(network, network === 'TRON' ? new TronSync() : new EvmSync(network));
+    }
+    return this.syncers.get(network);
+  }
+
+  // Block the on-chain status is read at; corrections are recorded there, in the network's
+  // timestamp unit. The network is synced first so the stored events reach that block. EVM
+  // contracts are then read at the confirmed block (head - confirmations), which is out of reorg
+  // range and recent enough for full nodes to still hold its state. TRON status views can only be
+  // read at the head, so the head is taken before the sync runs up to it.
+  async getCheckBlock(tokenConfig) {
+    const { network } = tokenConfig;
+    const sync = this.getSyncer(network);
+
+    if (network === 'TRON') {
+      const { number, timestamp } = (await this.validator.tronWeb.trx.getCurrentBlock()).block_header.raw_data;
+      await sync.syncAll();
+      return { number, timestamp };
+    }
+
+    await sync.syncAll();
+    const number = (await database.getConfirmedBlocks())[network];
+    const block = await this.validator.getPool(network).call('getBlock', number);
+    return { number, timestamp: safeToNumber(block.timestamp) };
+  }
+
+  // On-chain status per address at the checked block, null where the call failed. EVM tokens are
+  // read in bulk through Multicall3; TRON addresses one by one
+  async getChainStatuses(tokenConfig, addresses, block) {
+    const { network, token } = tokenConfig;
+    if (network !== 'TRON') {
+      return (await this.validator.validateEvmAddresses(addresses, token, network, block.number)).statuses;
+    }
+
+    const statuses = new Map();
+    for (const address of addresses) {
+      const result = await this.validator.validateTronAddress(address, token);
+      statuses.set(address, result ? Boolean(result.isBlacklisted) : null);
+      await new Promise(resolve => setTimeout(resolve, this.delay));
+    }
+    return statuses;
+  }
+
+  async reconcileToken(tokenConfig, runId, report) {
+    const { network, token } = tokenConfig;
+    const block = await this.getCheckBlock(tokenConfig);
+    // Listed after the sync, so addresses it just stored are checked too
+    const addresses = await database.getKnownAddresses(network);
+    // EVM views are compared with the stored status at the checked block, leaving out events synced
+    // above it; TRON views answer for the head and are compared with the current status
+    const atBlock = network === 'TRON' ? null : block.number;
+    const stored = await database.getBlacklistStatuses(network, token, atBlock);
+    const summary = {
+      network, token, block_number: block.number, checked: 0, matches: 0, mismatches: 0, healed: 0, deferred: 0, errors: 0
+    };
+    const mismatches = [];
+
+    logger.info(`Reconciling ${addresses.length} ${network} addresses against ${token} at block ${block.number}`);
+
+    const chainStatuses = await this.getChainStatuses(tokenConfig, addresses, block);
+    for (const address of addresses) {
+      const chainStatus = chainStatuses.get(address) ?? null;
+      if (chainStatus === null) {
+        summary.errors++;
+      } else {
+        summary.checked++;
+        if ((stored.get(address) ?? false) === chainStatus) {
+          summary.matches++;
+        } else {
+          mismatches.push({ address, db_status: stored.get(address) ?? false, chain_status: chainStatus });
+        }
+      }
+    }
+
+    // The sync may have stored the missing events meanwhile; only what still differs is drift
+    const current = await database.getBlacklistStatuses(network, token, atBlock);
+    const drift = mismatches.filter(m => (current.get(m.address) ?? false) !== m.chain_status);
+    summary.matches += mismatches.length - drift.length;
+    summary.mismatches = drift.length;
+
+    // Events up to the checked block may not be stored if the sync stopped short of it; those are left for the next run
+    const caughtUp = await database.getLastSyncedBlock(network, token) >= block.number;
+    let action = 'dry_run';
+    if (!caughtUp) {
+      action = 'deferred';
+      summary.deferred = drift.length;
+    } else if (!this.dryRun && drift.length > 0) {
+      action = 'healed';
+      await database.applyBlacklistCorrections(drift.map(m => ({
+        address: m.address,
+        token,
+        network,
+        is_blacklisted: m.chain_status,
+        block_number: block.number,
+        timestamp: block.timestamp
+      })), runId);
+      summary.healed = drift.length;
+    }
+
+    if (drift.length > 0) {
+      logger.warn(`${network} ${token} reconciliation found ${drift.length} mismatches (${action})`);
+    }
+
+    report.tokens.push(summary);
+    for (const m of drift) {
+      if (report.mismatches.length < REPORT_MISMATCH_LIMIT) {
+        report.mismatches.push({ network, token, ...m, action });
+      }
+    }
+  }
+
+  /**
+   * Reconcile every token of the given networks and record the run
+   * @param {string[]|null} networks - Networks to check, default every configured one
+   * @returns {Promise<Object>} - The recorded run, including its report
+   */
+  async run(networks = null) {
+    const runId = await database.startReconciliationRun(this.dryRun);
+    const report = { tokens: [], mismatches: [] };
+    const totals = () => ({
+      checked: report.tokens.reduce((sum, t) => sum + t.checked, 0),
+      matches: report.tokens.reduce((sum, t) => sum + t.matches, 0),
+      mismatches: report.tokens.reduce((sum, t) => sum + t.mismatches, 0),
+      healed: report.tokens.reduce((sum, t) => sum + t.healed, 0),
+      errors: report.tokens.reduce((sum, t) => sum + t.errors, 0),
+      report
+    });
+
+    logger.info(`Starting reconciliation run ${runId}${this.dryRun ? ' (dry run)' : ''}`);
+
+    try {
+      for (const network of networks ?? this.defaultNetworks()) {
+        for (const tokenConfig of getTokens(network).filter(t => t.statusMethod)) {
+          await this.reconcileToken(tokenConfig, runId, report);
+        }
+      }
+    } catch (error) {
+      logger.error(`Reconciliation run ${runId} failed:`, error);
+      await database.finishReconciliationRun(runId, { status: 'failed', ...totals(), error: error.message });
+      throw error;
+    }
+
+    await database.finishReconciliationRun(runId, { status: 'completed', ...totals() });
+    const run = await database.getLatestReconciliationRun();
+    logger.info(`Reconciliation run ${runId} completed: ${run.checked} checked, ${run.mismatches} mismatches, ${run.healed} healed`);
+    return run;
+  }
+}
+
+// Run if called directly: node src/utils/reconcile.js [NETWORK...] [--dry-run]
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const args = process.argv.slice(2);
+  const networks = args.filter(arg => !arg.startsWith('--')).map(arg => arg.toUpperCase());
+
+  try {
+    await database.init(process.env.DATABASE_PATH || './data/blacklist.db');
+    const run = await new Reconciler({ dryRun: args.includes('--dry-run') }).run(networks.length > 0 ? networks : null);
+    console.log('Reconciliation Report:', JSON.stringify(run, null, 2));
+  } catch (error) {
+    console.error('Reconciliation failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await database.close();
+  }
+}
+
+export default Reconciler;
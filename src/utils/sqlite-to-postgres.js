@@ -0,0 +1,129 @@
+import dotenv from 'dotenv';
+import SqliteDriver from '../storage/sqlite.js';
+import PostgresDriver from '../storage/postgres.js';
+import { getMigrationStatus, migrate } from '../storage/migrations.js';
+
+dotenv.config();
+
+const BATCH_SIZE = 500;
+
+// Tables of the SQLite file ordered so that referenced tables are copied first
+async function getTables(source) {
+  const tables = (await source.all(`
+    SELECT name FROM sqlite_master
+    WHERE type = 'table' AND name NOT LIKE 'sqlite_%'
+    ORDER BY name
+  `)).map(t => t.name);
+
+  const parents = {};
+  for (const table of tables) {
+    const keys = await source.all('SELECT "table" AS parent FROM pragma_foreign_key_list(?)', [table]);
+    parents[table] = keys.map(k => k.parent).filter(parent => parent !== table);
+  }
+
+  const ordered = [];
+  const visit = table => {
+    if (ordered.includes(table)) {
+      return;
+    }
+    (parents[table] || []).forEach(visit);
+    ordered.push(table);
+  };
+  tables.forEach(visit);
+
+  return ordered;
+}
+
+async function copyTable(source, target, table) {
+  let copied = 0;
+  let total = 0;
+
+  // rowid keeps paging stable for tables with composite primary keys
+  for (let offset = 0; ; offset += BATCH_SIZE) {
+    const rows = await source.all(`SELECT * FROM "${table}" ORDER BY rowid LIMIT ? OFFSET ?`, [BATCH_SIZE, offset]);
+    if (rows.length === 0) {
+      break;
+    }
+
+    const columns = Object.keys(rows[0]);
+    const placeholders = rows.map(() => `(${columns.map(() => '?').join(', ')})`).join(', ');
+    const result = await target.run(`
+      INSERT INTO "${table}" (${columns.map(c => `"${c}"`).join(', ')})
+      VALUES ${placeholders}
+      ON CONFLICT DO NOTHING
+    `, rows.flatMap(row => columns.map(c => row[c])));
+
+    copied += result.changes;
+    total += rows.length;
+  }
+
+  // Continue id sequences after the copied rows
+  const hasId = (await source.all('SELECT name FROM pragma_table_info(?)', [table])).some(c => c.name === 'id');
+  const sequence = hasId ? await target.get('SELECT pg_get_serial_sequence(?, ?) AS name', [table, 'id']) : null;
+  if (sequence?.name) {
+    await target.get(
+      `SELECT setval(?, COALESCE((SELECT MAX(id) FROM "${table}"), 1), (SELECT MAX(id) FROM "${table}") IS NOT NULL)`,
+      [sequence.name]
+    );
+  }
+
+  return { copied, total };
+}
+
+/**
+ * Copies every table of a SQLite database into PostgreSQL. Rows that already exist in
+ * the target are skipped, so the copy can be re-run.
+ * @param {string} dbPath - SQLite file to read
+ * @param {string} databaseUrl - postgres:// connection string to write to
+ * @returns {Promise<Object>} - Rows copied and read per table
+ */
+export async function copySqliteToPostgres(dbPath, databaseUrl) {
+  const source = new SqliteDriver();
+  const target = new PostgresDriver();
+  await source.open(dbPath);
+  await target.open(databaseUrl);
+
+  try {
+    // Both sides must be on the same schema version for the columns to line up
+    const { pending } = await getMigrationStatus(source);
+    if (pending.length > 0) {
+      throw new Error(`${dbPath} has pending migrations; run npm run migrate against it first`);
+    }
+    await migrate(target);
+
+    const tables = await getTables(source);
+
+    return await target.transaction(async () => {
+      const report = {};
+      for (const table of tables) {
+        report[table] = await copyTable(source, target, table);
+        console.log(`${table}: copied ${report[table].copied} of ${report[table].total} rows`);
+      }
+      return report;
+    });
+  } finally {
+    await source.close();
+    await target.close();
+  }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const dbPath = process.argv[2] || process.env.DATABASE_PATH || './data/blacklist.db';
+  const databaseUrl = process.argv[3] || process.env.DATABASE_URL;
+
+  if (!databaseUrl) {
+    console.error('Usage: sqlite-to-postgres.js [sqlite-path] [postgres-url] (or set DATABASE_PATH and DATABASE_URL)');
+    process.exit(1);
+  }
+
+  copySqliteToPostgres(dbPath, databaseUrl)
+    .then(() => {
+      console.log('Copy completed');
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error('Copy failed:', error.message);
+      process.exit(1);
+    });
+}
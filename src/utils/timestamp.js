@@ -0,0 +1,25 @@
+/**
+ * Converts a stored block timestamp to milliseconds.
+ * TRON timestamps are stored in milliseconds, EVM block timestamps in seconds.
+ * @param {number} timestamp - The stored timestamp
+ * @param {string} network - The network the timestamp belongs to
+ * @returns {number|null} - The timestamp in milliseconds
+ */
+export function toMilliseconds(timestamp, network) {
+  if (timestamp === null || timestamp === undefined) {
+    return null;
+  }
+
+  return network === 'TRON' ? timestamp : timestamp * 1000;
+}
+
+/**
+ * Formats a stored block timestamp as an ISO 8601 string
+ * @param {number} timestamp - The stored timestamp
+ * @param {string} network - The network the timestamp belongs to
+ * @returns {string|null} - The ISO 8601 date string
+ */
+export function toISOString(timestamp, network) {
+  const ms = toMilliseconds(timestamp, network);
+  return ms === null ? null : new Date(ms).toISOString();
+}
@@ -3,63 +3,237 @@ import TronWeb from 'tronweb';
 import dotenv from 'dotenv';
 import database from '../database.js';
 import logger from '../logger.js';
-import { CONTRACTS } from '../constants.js';
+import { getToken, getTokens, getNetwork, getRpcUrl, getRpcUrls } from '../registry.js';
+import { getApiKeys } from '../tron/trongrid.js';
+import ProviderPool from '../evm/provider-pool.js';
+import { getStatuses } from '../evm/multicall.js';
+import { safeToNumber } from './bigint.js';
+import { normalizeAddress, detectNetworkType } from './address.js';
 
 dotenv.config();
 
 class Validator {
   constructor() {
-    this.web3 = new Web3(process.env.ETHEREUM_RPC_URL);
+    this.web3Clients = {};
+    this.pools = {};
+    this.tronContracts = {};
     this.tronWeb = new TronWeb({
       fullHost: process.env.TRON_FULL_NODE || 'https://api.trongrid.io',
-      headers: { 'TRON-PRO-API-KEY': process.env.TRON_GRID_API_KEY }
+      headers: { 'TRON-PRO-API-KEY': getApiKeys()[0] }
     });
   }
 
-  async validateEthereumAddress(address, token) {
-    try {
-      // For USDT and USDC, we can call the isBlacklisted function
-      const abi = [
-        {
-          "constant": true,
-          "inputs": [{"name": "_address", "type": "address"}],
-          "name": "isBlacklisted",
-          "outputs": [{"name": "", "type": "bool"}],
-          "type": "function"
-        }
-      ];
+  // Look up a token in the registry and make sure it declares an on-chain status view
+  getStatusConfig(network, token) {
+    const tokenConfig = getToken(network, token);
+    if (!tokenConfig) {
+      throw new Error(`Token ${token} is not configured for ${network}`);
+    }
+    if (!tokenConfig.statusMethod) {
+      throw new Error(`Token ${token} on ${network} has no statusMethod in the registry`);
+    }
+    return tokenConfig;
+  }
 
-      const contractAddress = token === 'USDT' ? 
-        CONTRACTS.ETHEREUM.USDT : CONTRACTS.ETHEREUM.USDC;
+  // Status views to try for a token: the registry's statusMethod, then its statusFallbackMethod
+  statusMethods(tokenConfig) {
+    return [tokenConfig.statusMethod, tokenConfig.statusFallbackMethod].filter(Boolean);
+  }
 
-      const contract = new this.web3.eth.Contract(abi, contractAddress);
-      const isBlacklisted = await contract.methods.isBlacklisted(address).call();
+  // Call the token's status views in turn until one answers
+  async callStatusView(tokenConfig, call) {
+    let lastError = null;
+    for (const method of this.statusMethods(tokenConfig)) {
+      try {
+        return Boolean(await call(method));
+      } catch (error) {
+        lastError = error;
+      }
+    }
+    throw lastError;
+  }
+
+  statusAbi(methodName) {
+    return [
+      {
+        "constant": true,
+        "inputs": [{"name": "_address", "type": "address"}],
+        "name": methodName,
+        "outputs": [{"name": "", "type": "bool"}],
+        "type": "function"
+      }
+    ];
+  }
+
+  getWeb3(network) {
+    if (!this.web3Clients[network]) {
+      const rpcUrl = getRpcUrl(network);
+      if (!rpcUrl) {
+        throw new Error(`No RPC URL configured for ${network}`);
+      }
+      this.web3Clients[network] = new Web3(rpcUrl);
+    }
+    return this.web3Clients[network];
+  }
 
-      return { address, token, network: 'ETHEREUM', isBlacklisted };
+  getPool(network) {
+    this.pools[network] ??= new ProviderPool(network, getRpcUrls(network));
+    return this.pools[network];
+  }
+
+  /**
+   * Reads the on-chain status of many addresses of one EVM token through Multicall3
+   * @param {string[]} addresses - 0x-prefixed addresses
+   * @param {string} token - Token symbol
+   * @param {string} network - EVM network
+   * @param {number|null} blockNumber - Block to read at, default the current head
+   * @returns {Promise<Object>} - { blockNumber, statuses }, statuses maps address -> boolean, or null where the call failed
+   */
+  async validateEvmAddresses(addresses, token, network = 'ETHEREUM', blockNumber = null) {
+    const tokenConfig = this.getStatusConfig(network, token);
+    const pool = this.getPool(network);
+    const [method, fallbackMethod] = this.statusMethods(tokenConfig);
+    const read = (method, addresses) => getStatuses(pool, {
+      contractAddress: tokenConfig.address,
+      method,
+      addresses,
+      blockNumber,
+      multicallAddress: getNetwork(network).multicallAddress
+    });
+
+    blockNumber ??= safeToNumber(await pool.call('getBlockNumber'));
+    const statuses = await read(method, addresses);
+
+    const failed = addresses.filter(address => statuses.get(address) === null);
+    if (fallbackMethod && failed.length > 0) {
+      for (const [address, status] of await read(fallbackMethod, failed)) {
+        statuses.set(address, status);
+      }
+    }
+
+    return { blockNumber, statuses };
+  }
+
+  async validateEvmAddress(address, token, network = 'ETHEREUM') {
+    try {
+      const tokenConfig = this.getStatusConfig(network, token);
+
+      const web3 = this.getWeb3(network);
+      const isBlacklisted = await this.callStatusView(tokenConfig, method =>
+        new web3.eth.Contract(this.statusAbi(method), tokenConfig.address).methods[method](address).call());
+
+      return { address, token, network, isBlacklisted };
     } catch (error) {
-      logger.error(`Error validating Ethereum address ${address}:`, error);
+      logger.error(`Error validating ${network} address ${address}:`, error);
       return null;
     }
   }
 
+  async validateEthereumAddress(address, token) {
+    return await this.validateEvmAddress(address, token, 'ETHEREUM');
+  }
+
+  async getTronContract(tokenConfig, method) {
+    const key = `${tokenConfig.token}|${method}`;
+    this.tronContracts[key] ??= await this.tronWeb.contract(this.statusAbi(method), tokenConfig.address);
+    return this.tronContracts[key];
+  }
+
+  // Accepts base58 (T...), 41-prefixed or 0x-prefixed hex
   async validateTronAddress(address, token) {
     try {
-      // Convert address format if needed
-      const tronAddress = this.tronWeb.address.fromHex(address);
-      
-      // Get contract instance
-      const contract = await this.tronWeb.contract().at(CONTRACTS.TRON.USDT);
-      
-      // Call isBlackListed function
-      const isBlacklisted = await contract.isBlackListed(tronAddress).call();
-
-      return { address, token, network: 'TRON', isBlacklisted };
+      const normalized = normalizeAddress(address, 'TRON');
+      if (!normalized) {
+        throw new Error('Not a TRON address');
+      }
+      const tronAddress = this.tronWeb.address.fromHex(normalized.address);
+
+      const tokenConfig = this.getStatusConfig('TRON', token);
+      // Constant calls need a caller address; any valid one will do, so use the contract's own
+      const caller = this.tronWeb.address.toHex(tokenConfig.address);
+
+      const isBlacklisted = await this.callStatusView(tokenConfig, async method => {
+        const contract = await this.getTronContract(tokenConfig, method);
+        return await contract[method](tronAddress).call({ from: caller });
+      });
+
+      return { address: normalized.address, address_base58: tronAddress, token, network: 'TRON', isBlacklisted };
     } catch (error) {
       logger.error(`Error validating TRON address ${address}:`, error);
       return null;
     }
   }
 
+  /**
+   * Current on-chain status of addresses for every token of a network that declares a status view.
+   * EVM addresses are read in bulk at one block; TRON addresses one by one.
+   * @param {string[]} addresses - Addresses in any format supported for the network
+   * @param {string} network - Network name
+   * @param {string|null} token - Only check this token
+   * @returns {Promise<Object>} - { network, block_number, results }, results keyed by address with
+   *   { address, address_base58, clean, tokens }; clean is null when a status could not be read
+   */
+  async verifyAddresses(addresses, network, token = null) {
+    const tokens = getTokens(network).filter(t => t.statusMethod && (!token || t.token === token));
+    if (tokens.length === 0) {
+      throw new Error(`No token with an on-chain status view on ${network}${token ? ` matches ${token}` : ''}`);
+    }
+
+    const isTron = getNetwork(network).type === 'tron';
+    const lookups = addresses.map(address => ({ requested: address, ...normalizeAddress(address, network) }));
+    const invalid = lookups.find(l => !l.address);
+    if (invalid) {
+      throw new Error(`${invalid.requested} is not a valid ${network} address`);
+    }
+    const statuses = {};
+    let blockNumber = null;
+
+    if (isTron) {
+      blockNumber = (await this.tronWeb.trx.getCurrentBlock()).block_header.raw_data.number;
+      for (const { token: symbol } of tokens) {
+        statuses[symbol] = new Map();
+        for (const { address } of lookups) {
+          const result = await this.validateTronAddress(address, symbol);
+          statuses[symbol].set(address, result ? result.isBlacklisted : null);
+        }
+      }
+    } else {
+      for (const { token: symbol } of tokens) {
+        // Read every token at the same block so the answers are consistent
+        const result = await this.validateEvmAddresses(lookups.map(l => l.address), symbol, network, blockNumber);
+        blockNumber = result.blockNumber;
+        statuses[symbol] = result.statuses;
+      }
+    }
+
+    const results = {};
+    for (const { requested, address } of lookups) {
+      const checks = tokens.map(({ token: symbol }) => ({
+        token: symbol,
+        is_blacklisted: statuses[symbol].get(address) ?? null
+      }));
+
+      // Clean only when every token answered and none has the address blacklisted
+      let clean = null;
+      if (checks.some(c => c.is_blacklisted)) {
+        clean = false;
+      } else if (checks.every(c => c.is_blacklisted === false)) {
+        clean = true;
+      }
+
+      // Base58 keys are case-sensitive, hex keys are lowercased
+      const key = /^(0x|41)/i.test(requested) ? requested.toLowerCase() : requested;
+      results[key] = {
+        address,
+        address_base58: isTron ? this.tronWeb.address.fromHex(address) : null,
+        clean,
+        tokens: checks
+      };
+    }
+
+    return { network, block_number: blockNumber, results };
+  }
+
   async validateRandomSample(sampleSize = 50) {
     logger.info(`Validating random sample of ${sampleSize} addresses...`);
 
@@ -78,39 +252,48 @@ class Validator {
       errors: []
     };
 
-    for (const entry of sample) {
-      let validation = null;
-
-      if (entry.network === 'ETHEREUM') {
-        validation = await this.validateEthereumAddress(entry.address, entry.token);
-      } else if (entry.network === 'TRON') {
-        validation = await this.validateTronAddress(entry.address, entry.token);
+    const compare = (entry, chainStatus) => {
+      if (chainStatus === null) {
+        results.errors.push({ address: entry.address, token: entry.token, network: entry.network });
+        return;
       }
 
-      if (validation) {
-        results.validated++;
-        
-        const dbStatus = Boolean(entry.is_blacklisted);
-        const chainStatus = validation.isBlacklisted;
-
-        if (dbStatus === chainStatus) {
-          results.matches++;
-        } else {
-          results.mismatches.push({
-            address: entry.address,
-            token: entry.token,
-            network: entry.network,
-            dbStatus,
-            chainStatus
-          });
-        }
+      results.validated++;
+      const dbStatus = Boolean(entry.is_blacklisted);
+      if (dbStatus === chainStatus) {
+        results.matches++;
       } else {
-        results.errors.push({
+        results.mismatches.push({
           address: entry.address,
           token: entry.token,
-          network: entry.network
+          network: entry.network,
+          dbStatus,
+          chainStatus
         });
       }
+    };
+
+    // EVM entries are checked in bulk per token
+    const evmGroups = new Map();
+    for (const entry of sample.filter(e => getNetwork(e.network)?.type === 'evm')) {
+      const key = `${entry.network}|${entry.token}`;
+      evmGroups.set(key, [...(evmGroups.get(key) || []), entry]);
+    }
+
+    for (const entries of evmGroups.values()) {
+      const { network, token } = entries[0];
+      let statuses = new Map();
+      try {
+        ({ statuses } = await this.validateEvmAddresses(entries.map(e => e.address), token, network));
+      } catch (error) {
+        logger.error(`Error validating ${network} ${token} addresses:`, error);
+      }
+      entries.forEach(entry => compare(entry, statuses.get(entry.address) ?? null));
+    }
+
+    for (const entry of sample.filter(e => e.network === 'TRON')) {
+      const validation = await this.validateTronAddress(entry.address, entry.token);
+      compare(entry, validation ? Boolean(validation.isBlacklisted) : null);
 
       // Add delay to avoid rate limiting
       await new Promise(resolve => setTimeout(resolve, 200));
@@ -175,22 +358,21 @@ if (import.meta.url === `file://${process.argv[1]}`) {
 
     case 'address':
       const address = process.argv[3];
-      const network = process.argv[4] || 'ETHEREUM';
-      const token = process.argv[5] || 'USDT';
-      
+      // The network defaults to the one the address format implies; the token to every token
+      const network = process.argv[4]?.toUpperCase() || (detectNetworkType(address ?? '') === 'tron' ? 'TRON' : 'ETHEREUM');
+      const token = process.argv[5]?.toUpperCase() || null;
+
       if (!address) {
         console.error('Please provide an address to validate');
         process.exit(1);
       }
-
-      let result;
-      if (network === 'ETHEREUM') {
-        result = await validator.validateEthereumAddress(address, token);
-      } else if (network === 'TRON') {
-        result = await validator.validateTronAddress(address, token);
+      if (!normalizeAddress(address, network)) {
+        console.error(`${address} is not a valid ${network} address`);
+        process.exit(1);
       }
-      
-      console.log('Validation Result:', result);
+
+      const result = await validator.verifyAddresses([address], network, token);
+      console.log('Validation Result:', JSON.stringify(result, null, 2));
       break;
 
     case 'report':
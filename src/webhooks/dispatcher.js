@@ -0,0 +1,146 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import database from '../database.js';
+import logger from '../logger.js';
+import { DELIVERY_STATUS } from '../constants.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+
+dotenv.config();
+
+// HMAC-SHA256 over "<timestamp>.<body>" so receivers can reject replayed payloads
+export function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+export function generateSecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+// Delivers queued webhook_deliveries rows, retrying failures with exponential backoff
+// until maxAttempts, after which the delivery is dead-lettered
+class WebhookDispatcher {
+  constructor() {
+    this.pollInterval = parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS || '1000');
+    this.timeout = parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000');
+    this.concurrency = parseInt(process.env.WEBHOOK_CONCURRENCY_PER_ENDPOINT || '4');
+    this.maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '8');
+    this.baseDelay = parseInt(process.env.WEBHOOK_RETRY_BASE_MS || '5000');
+    this.maxDelay = parseInt(process.env.WEBHOOK_RETRY_MAX_MS || '3600000');
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    logger.info(`Starting webhook dispatcher (poll every ${this.pollInterval}ms)`);
+    this.timer = setInterval(() => this.processDue(), this.pollInterval);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Exponential backoff with equal jitter: half of base * 2^(attempts - 1) (capped) plus a random
+  // share of the other half, so retries spread out but never come back sooner than half the step
+  retryDelay(attempts) {
+    const ceiling = Math.min(this.baseDelay * 2 ** (attempts - 1), this.maxDelay);
+    return Math.floor(ceiling / 2 + Math.random() * ceiling / 2);
+  }
+
+  async processDue() {
+    // Skip this tick if the previous batch is still being delivered
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    try {
+      const deliveries = await database.getDueWebhookDeliveries(Date.now());
+
+      // Endpoints are served side by side, each with a bounded number of requests in flight,
+      // so a slow or timing-out endpoint only holds up its own deliveries
+      const byEndpoint = new Map();
+      for (const delivery of deliveries) {
+        const queue = byEndpoint.get(delivery.webhook_id) || [];
+        queue.push(delivery);
+        byEndpoint.set(delivery.webhook_id, queue);
+      }
+
+      await Promise.all([...byEndpoint.values()].map(queue =>
+        mapWithConcurrency(queue, this.concurrency, delivery => this.claimAndDeliver(delivery))
+      ));
+    } catch (error) {
+      logger.error('Webhook dispatcher error:', error);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // The lease starts when the request is about to be sent, not when the batch was fetched
+  async claimAndDeliver(delivery) {
+    try {
+      const claimed = await database.claimWebhookDelivery(
+        delivery.id, delivery.next_attempt_at, Date.now() + this.timeout * 2
+      );
+      if (claimed) {
+        await this.deliver(delivery);
+      }
+    } catch (error) {
+      logger.error(`Webhook delivery ${delivery.id} error:`, error);
+    }
+  }
+
+  async deliver(delivery) {
+    const attempts = delivery.attempts + 1;
+    const timestamp = Math.floor(Date.now() / 1000);
+    let statusCode = null;
+
+    try {
+      const response = await fetch(delivery.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'blacklist-harvester-webhooks',
+          'X-Webhook-Id': String(delivery.webhook_id),
+          'X-Webhook-Delivery': String(delivery.id),
+          'X-Webhook-Event': delivery.event_type,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': `sha256=${signPayload(delivery.secret, timestamp, delivery.payload)}`
+        },
+        body: delivery.payload,
+        signal: AbortSignal.timeout(this.timeout)
+      });
+      statusCode = response.status;
+
+      if (!response.ok) {
+        throw new Error(`Endpoint responded with ${response.status} ${response.statusText}`);
+      }
+
+      await database.markWebhookDelivered(delivery.id, attempts, statusCode);
+      logger.info(`Delivered webhook ${delivery.id} (${delivery.event_type}) to ${delivery.url}`);
+    } catch (error) {
+      const isDead = attempts >= this.maxAttempts;
+      const nextAttemptAt = isDead ? null : Date.now() + this.retryDelay(attempts);
+
+      await database.markWebhookFailed(delivery.id, {
+        attempts,
+        status: isDead ? DELIVERY_STATUS.DEAD : DELIVERY_STATUS.PENDING,
+        nextAttemptAt,
+        error: error.message,
+        statusCode
+      });
+
+      if (isDead) {
+        logger.error(`Webhook delivery ${delivery.id} to ${delivery.url} dead-lettered after ${attempts} attempts: ${error.message}`);
+      } else {
+        logger.warn(`Webhook delivery ${delivery.id} to ${delivery.url} failed (attempt ${attempts}), retrying at ${new Date(nextAttemptAt).toISOString()}: ${error.message}`);
+      }
+    }
+  }
+}
+
+export default WebhookDispatcher;
@@ -0,0 +1,92 @@
+import { openTestDatabase, blacklistEvent } from './helpers.js';
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import database from '../src/database.js';
+import { EVENT_TYPE } from '../src/constants.js';
+
+const ADDRESS = '0x' + 'bc'.repeat(20);
+// TRON addresses are stored in their 41-prefixed hex form
+const TRON_ADDRESS = '41' + 'de'.repeat(20);
+let cleanup;
+
+// EVM timestamps are in seconds, TRON timestamps in milliseconds
+const seconds = iso => Date.parse(iso) / 1000;
+const millis = iso => Date.parse(iso);
+
+beforeEach(async () => {
+  cleanup = await openTestDatabase();
+  await database.batchUpsertBlacklistEntries([
+    blacklistEvent(ADDRESS, 100, true, { timestamp: seconds('2024-01-01T00:00:00Z') }),
+    blacklistEvent(ADDRESS, 200, false, { timestamp: seconds('2024-03-01T00:00:00Z') }),
+    blacklistEvent(ADDRESS, 300, true, { timestamp: seconds('2024-05-01T00:00:00Z') }),
+    blacklistEvent(TRON_ADDRESS, 5000, true, { network: 'TRON', timestamp: millis('2024-02-01T00:00:00Z') })
+  ]);
+});
+
+afterEach(() => cleanup());
+
+const statusAt = async (address, asOf, network = null) =>
+  (await database.getBlacklistStatus(address, 'USDT', network, asOf)).map(r => [r.network, r.is_blacklisted, r.block_number]);
+
+test('at_block answers with the latest event at or before the block', async () => {
+  assert.deepEqual(await statusAt(ADDRESS, { block: 99 }, 'ETHEREUM'), []);
+  assert.deepEqual(await statusAt(ADDRESS, { block: 100 }, 'ETHEREUM'), [['ETHEREUM', true, 100]]);
+  assert.deepEqual(await statusAt(ADDRESS, { block: 250 }, 'ETHEREUM'), [['ETHEREUM', false, 200]]);
+  assert.deepEqual(await statusAt(ADDRESS, { block: 1000 }, 'ETHEREUM'), [['ETHEREUM', true, 300]]);
+});
+
+test('at_time compares each network in its own timestamp unit', async () => {
+  const feb15 = { time: millis('2024-02-15T00:00:00Z') };
+  assert.deepEqual(await statusAt(ADDRESS, feb15), [['ETHEREUM', true, 100]]);
+  assert.deepEqual(await statusAt(TRON_ADDRESS, feb15), [['TRON', true, 5000]]);
+
+  const jan15 = { time: millis('2024-01-15T00:00:00Z') };
+  assert.deepEqual(await statusAt(TRON_ADDRESS, jan15), []);
+});
+
+test('the export as of a time lists only addresses blacklisted then', async () => {
+  const list = async asOf => (await database.getAllBlacklisted(null, 'USDT', asOf)).map(r => r.address).sort();
+
+  assert.deepEqual(await list({ time: millis('2024-02-15T00:00:00Z') }), [ADDRESS, TRON_ADDRESS].sort());
+  assert.deepEqual(await list({ time: millis('2024-04-01T00:00:00Z') }), [TRON_ADDRESS]);
+  assert.deepEqual(await list({ time: millis('2023-12-01T00:00:00Z') }), []);
+});
+
+test('destroyed funds are limited to the point in time', async () => {
+  await database.batchUpsertBlacklistEntries([blacklistEvent(ADDRESS, 150, true, {
+    event_type: EVENT_TYPE.DESTROYED_FUNDS,
+    event_name: 'DestroyedBlackFunds',
+    amount: '1000000',
+    log_index: 1
+  })]);
+
+  assert.equal((await database.getDestroyedFunds(ADDRESS, 'USDT', 'ETHEREUM', { block: 149 })).length, 0);
+  assert.equal((await database.getDestroyedFunds(ADDRESS, 'USDT', 'ETHEREUM', { block: 150 })).length, 1);
+});
+
+test('reconciliation corrections count from their block, within the cutoff', async () => {
+  const correction = (isBlacklisted, blockNumber, iso) => ({
+    address: ADDRESS, token: 'USDT', network: 'ETHEREUM', is_blacklisted: isBlacklisted, block_number: blockNumber, timestamp: seconds(iso)
+  });
+  await database.applyBlacklistCorrections([
+    correction(false, 150, '2024-02-01T00:00:00Z'),
+    // Same block as the freeze at 300: the correction wins, as it does for the current status
+    correction(false, 300, '2024-05-01T00:00:00Z')
+  ], 1);
+
+  assert.deepEqual(await statusAt(ADDRESS, { block: 149 }, 'ETHEREUM'), [['ETHEREUM', true, 100]]);
+  assert.deepEqual(await statusAt(ADDRESS, { block: 150 }, 'ETHEREUM'), [['ETHEREUM', false, 150]]);
+  assert.deepEqual(await statusAt(ADDRESS, { block: 250 }, 'ETHEREUM'), [['ETHEREUM', false, 200]]);
+  assert.deepEqual(await statusAt(ADDRESS, { block: 300 }, 'ETHEREUM'), [['ETHEREUM', false, 300]]);
+
+  assert.deepEqual(await statusAt(ADDRESS, { time: millis('2024-01-15T00:00:00Z') }), [['ETHEREUM', true, 100]]);
+  assert.deepEqual(await statusAt(ADDRESS, { time: millis('2024-02-15T00:00:00Z') }), [['ETHEREUM', false, 150]]);
+  assert.deepEqual(await statusAt(ADDRESS, { time: millis('2024-06-01T00:00:00Z') }), [['ETHEREUM', false, 300]]);
+
+  const list = async asOf => (await database.getAllBlacklisted(null, 'USDT', asOf)).map(r => r.address).sort();
+  assert.deepEqual(await list({ time: millis('2024-01-15T00:00:00Z') }), [ADDRESS]);
+  assert.deepEqual(await list({ time: millis('2024-02-15T00:00:00Z') }), [TRON_ADDRESS]);
+  assert.deepEqual(await list({ time: millis('2024-06-01T00:00:00Z') }), [TRON_ADDRESS]);
+  // The current status follows the same rule
+  assert.deepEqual((await database.getBlacklistStatus(ADDRESS, 'USDT', 'ETHEREUM')).map(r => [r.is_blacklisted, r.block_number]), [[0, 300]]);
+});
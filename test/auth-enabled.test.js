@@ -0,0 +1,97 @@
+import { openTestDatabase } from './helpers.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import database from '../src/database.js';
+
+// auth.js reads API_AUTH_ENABLED when it is imported, so it is loaded after the flag is set
+process.env.API_AUTH_ENABLED = 'true';
+const { authenticate, generateApiKey, hashApiKey } = await import('../src/api/auth.js');
+
+// One database for the whole file: rate windows are kept per key id in auth.js, so ids must not repeat
+let cleanup;
+
+before(async () => {
+  cleanup = await openTestDatabase();
+});
+
+after(() => cleanup());
+
+async function createKey(options = {}) {
+  const { key, keyPrefix, keyHash } = generateApiKey();
+  await database.createApiKey({ name: 'test', keyPrefix, keyHash, scopes: ['read'], ...options });
+  return key;
+}
+
+// Runs authenticate against a minimal req/res pair and reports what it did
+async function request(key) {
+  const result = { status: null, body: null, headers: {}, next: false, req: null };
+  const req = {
+    path: '/blacklist/check',
+    get: name => (name === 'X-API-Key' ? key : undefined)
+  };
+  const res = {
+    set(name, value) { result.headers[name] = value; return this; },
+    status(code) { result.status = code; return this; },
+    json(body) { result.body = body; return this; }
+  };
+  await authenticate(req, res, () => { result.next = true; });
+  result.req = req;
+  return result;
+}
+
+test('keys are stored as a SHA-256 hash and never in plain text', async () => {
+  const { key, keyPrefix, keyHash } = generateApiKey();
+  assert.match(key, /^bl_[A-Za-z0-9_-]{43}$/);
+  assert.equal(keyPrefix, key.slice(0, 11));
+  assert.equal(keyHash, crypto.createHash('sha256').update(key).digest('hex'));
+  assert.equal(hashApiKey(key), keyHash);
+  assert.notEqual(generateApiKey().key, key);
+
+  await database.createApiKey({ name: 'test', keyPrefix, keyHash, scopes: ['read'] });
+  const row = await database.getApiKeyByHash(hashApiKey(key));
+  assert.equal(row.key_hash, keyHash);
+  assert.ok(!Object.values(row).includes(key));
+});
+
+test('requests need a known key and carry its scopes', async () => {
+  const key = await createKey();
+
+  const missing = await request(undefined);
+  assert.equal(missing.status, 401);
+  assert.equal(missing.body.error, 'API key required');
+
+  const unknown = await request(generateApiKey().key);
+  assert.equal(unknown.status, 401);
+  assert.equal(unknown.body.error, 'Invalid API key');
+
+  const ok = await request(key);
+  assert.equal(ok.next, true);
+  assert.deepEqual(ok.req.apiKey.scopes, ['read']);
+});
+
+test('requests over the per-minute limit get a 429 with Retry-After', async () => {
+  const key = await createKey({ rateLimitPerMinute: 2 });
+
+  assert.equal((await request(key)).next, true);
+  const second = await request(key);
+  assert.equal(second.next, true);
+  assert.equal(second.headers['X-RateLimit-Remaining'], '0');
+
+  const third = await request(key);
+  assert.equal(third.next, false);
+  assert.equal(third.status, 429);
+  assert.equal(third.body.error, 'Rate limit exceeded');
+  assert.ok(Number(third.headers['Retry-After']) >= 1 && Number(third.headers['Retry-After']) <= 60);
+});
+
+test('requests over the daily quota get a 429 until UTC midnight', async () => {
+  const key = await createKey({ rateLimitPerMinute: 100, dailyQuota: 1 });
+
+  assert.equal((await request(key)).next, true);
+  const second = await request(key);
+  assert.equal(second.status, 429);
+  assert.equal(second.body.error, 'Daily quota exceeded');
+  assert.equal(second.headers['X-Quota-Remaining'], '0');
+  assert.ok(Number(second.headers['Retry-After']) <= 24 * 60 * 60);
+});
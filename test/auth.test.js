@@ -0,0 +1,26 @@
+import './helpers.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { requireScope } from '../src/api/auth.js';
+
+// Runs the middleware against a minimal req/res pair and reports what it did
+function run(middleware) {
+  const result = { status: null, body: null, next: false };
+  const res = {
+    status(code) { result.status = code; return this; },
+    json(body) { result.body = body; return this; }
+  };
+  middleware({}, res, () => { result.next = true; });
+  return result;
+}
+
+test('admin routes are refused while authentication is disabled', () => {
+  const result = run(requireScope('admin'));
+  assert.equal(result.next, false);
+  assert.equal(result.status, 403);
+  assert.equal(result.body.code, 'forbidden');
+});
+
+test('read routes stay open while authentication is disabled', () => {
+  assert.equal(run(requireScope('read')).next, true);
+});
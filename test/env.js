@@ -0,0 +1,3 @@
+// Imported before anything else: configuration the modules read at import time
+process.env.ETHEREUM_RPC_URL ??= 'http://localhost:8545';
+process.env.LOG_LEVEL ??= 'error';
@@ -0,0 +1,78 @@
+import { openTestDatabase, blacklistEvent } from './helpers.js';
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import database from '../src/database.js';
+import { up as seedBlacklistEvents } from '../migrations/002_seed_blacklist_events.js';
+
+const ADDRESS = '0x' + 'ef'.repeat(20);
+let cleanup;
+
+beforeEach(async () => {
+  cleanup = await openTestDatabase();
+});
+
+afterEach(() => cleanup());
+
+async function status(address = ADDRESS) {
+  const [row] = await database.getBlacklistStatus(address, 'USDT', 'ETHEREUM');
+  return row ? { is_blacklisted: Boolean(row.is_blacklisted), block_number: row.block_number } : null;
+}
+
+async function events(address = ADDRESS) {
+  return await database.db.all(
+    'SELECT * FROM blacklist_events WHERE address = ? ORDER BY block_number ASC, log_index ASC',
+    [address]
+  );
+}
+
+test('the current row follows the latest event by block and log index, not by arrival', async () => {
+  await database.batchUpsertBlacklistEntries([
+    blacklistEvent(ADDRESS, 200, false),
+    blacklistEvent(ADDRESS, 100, true)
+  ]);
+  assert.deepEqual(await status(), { is_blacklisted: false, block_number: 200 });
+
+  await database.upsertBlacklistEntry(blacklistEvent(ADDRESS, 200, true, {
+    transaction_hash: '0x' + 'ff'.repeat(32), log_index: 5
+  }));
+  assert.deepEqual(await status(), { is_blacklisted: true, block_number: 200 });
+});
+
+test('re-ingesting an event is idempotent', async () => {
+  assert.equal(await database.upsertBlacklistEntry(blacklistEvent(ADDRESS, 100, true)), 1);
+  assert.equal(await database.upsertBlacklistEntry(blacklistEvent(ADDRESS, 100, true)), 0);
+  assert.equal((await events()).length, 1);
+});
+
+test('status changes queue webhook deliveries, repeated freezes do not', async () => {
+  await database.createWebhook({ url: 'https://example.com/hook', secret: 'secret' });
+
+  await database.upsertBlacklistEntry(blacklistEvent(ADDRESS, 100, true));
+  await database.upsertBlacklistEntry(blacklistEvent(ADDRESS, 110, true));
+  await database.upsertBlacklistEntry(blacklistEvent(ADDRESS, 120, false));
+
+  const deliveries = await database.getDueWebhookDeliveries(Date.now() + 1000);
+  assert.deepEqual(deliveries.map(d => d.event_type), ['blacklisted', 'unblacklisted']);
+});
+
+test('rows from before the event history are seeded with an event', async () => {
+  await database.db.run(`
+    INSERT INTO blacklist (address, token, network, is_blacklisted, block_number, transaction_hash, timestamp, first_seen, last_updated)
+    VALUES (?, 'USDT', 'ETHEREUM', 1, 150, '0xabc', 1800, 0, 0)
+  `, [ADDRESS]);
+
+  await seedBlacklistEvents(database.db);
+  await seedBlacklistEvents(database.db);
+
+  const history = await events();
+  assert.equal(history.length, 1);
+  assert.equal(history[0].event_name, 'AddedBlackList');
+  assert.equal(history[0].direction, 'blacklisted');
+  assert.equal(history[0].transaction_hash, '0xabc');
+  assert.equal(history[0].log_index, -1);
+  assert.equal((await database.getBlacklistStatus(ADDRESS, null, 'ETHEREUM', { block: 200 }))[0].is_blacklisted, true);
+
+  // Re-deriving the row keeps it, and a later event still applies on top
+  await database.upsertBlacklistEntry(blacklistEvent(ADDRESS, 300, false));
+  assert.deepEqual(await status(), { is_blacklisted: false, block_number: 300 });
+});
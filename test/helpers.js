@@ -0,0 +1,34 @@
+import './env.js';
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+import database from '../src/database.js';
+import { EVENT_TYPE } from '../src/constants.js';
+
+// Initialize the database singleton on a fresh SQLite file; returns a cleanup function
+export async function openTestDatabase() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'blacklist-test-'));
+  await database.init(path.join(dir, 'blacklist.db'));
+
+  return async () => {
+    await database.close();
+    await fs.rm(dir, { recursive: true, force: true });
+  };
+}
+
+// A decoded blacklist event in the shape the sync modules pass to batchUpsertBlacklistEntries
+export function blacklistEvent(address, blockNumber, isBlacklisted, overrides = {}) {
+  return {
+    address,
+    token: 'USDT',
+    network: 'ETHEREUM',
+    event_type: EVENT_TYPE.STATUS,
+    is_blacklisted: isBlacklisted,
+    event_name: isBlacklisted ? 'AddedBlackList' : 'RemovedBlackList',
+    block_number: blockNumber,
+    transaction_hash: `0x${blockNumber.toString(16).padStart(64, '0')}`,
+    log_index: 0,
+    timestamp: blockNumber * 12,
+    ...overrides
+  };
+}
@@ -0,0 +1,108 @@
+import { openTestDatabase } from './helpers.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import WebSocket from 'ws';
+import database from '../src/database.js';
+import EvmLiveSync, { decodeLog } from '../src/evm/live-sync.js';
+import { safeToNumber } from '../src/utils/bigint.js';
+import EvmSync from '../src/evm/sync.js';
+import { getToken } from '../src/registry.js';
+
+// A USDT AddedBlackList log as delivered by eth_subscribe: quantities are hex strings
+const usdt = getToken('ETHEREUM', 'USDT');
+const addedBlackList = usdt.events.find(e => e.name === 'AddedBlackList');
+const rawLog = {
+  address: usdt.address,
+  topics: [addedBlackList.topic],
+  data: '0x000000000000000000000000' + 'ab'.repeat(20),
+  blockNumber: '0x1234abc',
+  blockHash: '0x' + '11'.repeat(32),
+  transactionHash: '0x' + '22'.repeat(32),
+  transactionIndex: '0x1f',
+  logIndex: '0x2a',
+  removed: false
+};
+
+test('decodeLog converts hex quantities to numbers', () => {
+  const log = decodeLog(rawLog);
+  assert.equal(log.blockNumber, 0x1234abc);
+  assert.equal(log.logIndex, 42);
+  assert.equal(log.transactionIndex, 31);
+  assert.equal(log.transactionHash, rawLog.transactionHash);
+});
+
+test('safeToNumber parses 0x-prefixed hex strings', () => {
+  assert.equal(safeToNumber('0x1234abc'), 0x1234abc);
+  assert.equal(safeToNumber('0x0'), 0);
+  assert.equal(safeToNumber('19000000'), 19000000);
+  assert.equal(safeToNumber(7n), 7);
+});
+
+test('processLog keeps the block number and log index of a subscription log', async () => {
+  const seen = [];
+  const sync = Object.create(EvmSync.prototype);
+  Object.assign(sync, {
+    network: 'ETHEREUM',
+    blocks: {
+      getTimestamp: async log => {
+        seen.push(log.blockNumber);
+        return 1700000000;
+      }
+    }
+  });
+
+  for (const log of [rawLog, decodeLog(rawLog)]) {
+    const entry = await sync.processLog(log, usdt);
+    assert.equal(entry.block_number, 0x1234abc);
+    assert.equal(entry.log_index, 42);
+    assert.equal(entry.address, '0x' + 'ab'.repeat(20));
+    assert.equal(entry.is_blacklisted, true);
+    assert.equal(entry.timestamp, 1700000000);
+  }
+});
+
+test('a log that fails to store keeps sync_status below its block when later heads arrive', async () => {
+  const cleanup = await openTestDatabase();
+  try {
+    await database.updateSyncStatus('ETHEREUM', 'USDT', 99);
+    const sync = {
+      network: 'ETHEREUM',
+      chain: { blockTime: 12 },
+      updateChainHead: async () => {},
+      handleLiveEvent: async () => {
+        throw new Error('eth_getBlockByNumber batch failed');
+      }
+    };
+    const live = new EvmLiveSync(sync, 'ws://localhost:8546');
+    const ws = {
+      readyState: WebSocket.OPEN,
+      terminate() {
+        this.readyState = WebSocket.CLOSED;
+      }
+    };
+    live.ws = ws;
+    const head = number => ({ number: '0x' + number.toString(16) });
+    const lastSynced = () => database.getLastSyncedBlock('ETHEREUM', 'USDT');
+
+    // Heads only settle the block below the previous head
+    for (const number of [100, 102, 103]) {
+      live.enqueue(ws, () => live.onHead(head(number)));
+    }
+    await live.queue;
+    assert.equal(await lastSynced(), 101);
+
+    // The log of block 101 arrives after head 103 and fails
+    live.enqueue(ws, () => live.onLog(ws, decodeLog({ ...rawLog, blockNumber: '0x65' }), usdt));
+    live.enqueue(ws, () => live.onHead(head(104)));
+    await live.queue;
+    assert.equal(ws.readyState, WebSocket.CLOSED);
+    assert.equal(await lastSynced(), 100);
+
+    // Heads seen before the backfill has re-read the block don't move past it
+    await live.onHead(head(110));
+    await live.onHead(head(111));
+    assert.equal(await lastSynced(), 100);
+  } finally {
+    await cleanup();
+  }
+});
@@ -0,0 +1,39 @@
+import './helpers.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import app from '../src/api/server.js';
+import { register } from '../src/metrics.js';
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+// Observation counts of http_request_duration_seconds keyed by "METHOD route status"
+async function latencyCounts() {
+  const { values } = await register.getSingleMetric('http_request_duration_seconds').get();
+  return Object.fromEntries(values
+    .filter(v => v.metricName === 'http_request_duration_seconds_count')
+    .map(v => [`${v.labels.method} ${v.labels.route} ${v.labels.status}`, v.value]));
+}
+
+test('responses sent before routing are labelled with the route pattern', async () => {
+  // Admin routes are refused by the scope middleware while authentication is disabled, and
+  // malformed requests by the validator
+  assert.equal((await fetch(`${baseUrl}/admin/keys/7`, { method: 'DELETE' })).status, 403);
+  assert.equal((await fetch(`${baseUrl}/webhooks/deliveries/dead?limit=5`)).status, 403);
+  assert.equal((await fetch(`${baseUrl}/blacklist?limit=lots`)).status, 400);
+  assert.equal((await fetch(`${baseUrl}/no/such/route`)).status, 404);
+
+  const counts = await latencyCounts();
+  assert.equal(counts['DELETE /admin/keys/:id 403'], 1);
+  assert.equal(counts['GET /webhooks/deliveries/dead 403'], 1);
+  assert.equal(counts['GET /blacklist 400'], 1);
+  assert.equal(counts['GET unmatched 404'], 1);
+});
@@ -0,0 +1,87 @@
+import './helpers.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import ProviderPool, { redactRpcUrl } from '../src/evm/provider-pool.js';
+
+const URLS = ['https://a.example/v3/secret-a', 'https://b.example/v3/secret-b'];
+
+// A pool whose providers answer web3.eth calls from the given handlers; calls are logged per provider
+function poolWith(handlers, options = {}) {
+  const pool = new ProviderPool('ETHEREUM', URLS.slice(0, handlers.length));
+  Object.assign(pool, { cooldown: 1000, maxCooldown: 4000, ...options });
+  const calls = handlers.map(() => []);
+  pool.providers.forEach((provider, i) => {
+    provider.web3 = {
+      eth: new Proxy({}, {
+        get: (target, method) => async (...args) => {
+          calls[i].push(method);
+          return await handlers[i](method, ...args);
+        }
+      })
+    };
+  });
+  return { pool, calls };
+}
+
+const fail = message => () => { throw new Error(message); };
+
+test('a failing provider is cooled down and calls fail over to the next one', async () => {
+  const { pool, calls } = poolWith([fail(`connect ECONNREFUSED ${URLS[0]}`), () => 19000000]);
+
+  assert.equal(await pool.call('getBlockNumber'), 19000000);
+  assert.deepEqual(calls, [['getBlockNumber'], ['getBlockNumber']]);
+
+  const [first] = pool.providers;
+  assert.ok(first.cooldownUntil > Date.now());
+  assert.equal(first.lastError, 'connect ECONNREFUSED https://a.example/***');
+  assert.equal(pool.primary.url, URLS[1]);
+
+  // While cooling down the failed provider is tried last
+  await pool.call('getBlockNumber');
+  assert.deepEqual(calls, [['getBlockNumber'], ['getBlockNumber', 'getBlockNumber']]);
+});
+
+test('consecutive failures double the cooldown up to the maximum', async () => {
+  const { pool } = poolWith([fail('timeout')]);
+  const [provider] = pool.providers;
+
+  const cooldowns = [];
+  for (let i = 0; i < 4; i++) {
+    await assert.rejects(pool.call('getBlockNumber'), /timeout/);
+    cooldowns.push(Math.round((provider.cooldownUntil - Date.now()) / 1000));
+  }
+
+  assert.deepEqual(cooldowns, [1, 2, 4, 4]);
+  assert.equal(provider.errors, 4);
+});
+
+test('errors caused by the request are thrown without failing over', async () => {
+  const { pool, calls } = poolWith([fail('query returned more than 10000 results'), () => []]);
+
+  await assert.rejects(pool.call('getPastLogs', {}), /query returned more than/);
+  assert.deepEqual(calls, [['getPastLogs'], []]);
+  assert.equal(pool.providers[0].cooldownUntil, 0);
+});
+
+test('a provider trailing the others by more than the allowed lag is tried last', async () => {
+  const { pool } = poolWith([() => 100, () => 110], { maxLag: 5 });
+
+  assert.equal(await pool.checkHeads(), 110);
+  assert.deepEqual(pool.providers.map(p => p.lag), [10, 0]);
+  assert.equal(pool.primary.url, URLS[1]);
+
+  const stats = pool.getStats();
+  assert.deepEqual(stats.map(s => [s.provider, s.available]), [['https://a.example/***', false], ['https://b.example/***', true]]);
+});
+
+test('a provider serving another chain is refused', async () => {
+  const { pool } = poolWith([() => 1, () => 137]);
+
+  await assert.rejects(pool.verifyChainId(1), /b\.example\/\*\*\* for ETHEREUM reports chain id 137, expected 1/);
+});
+
+test('RPC URLs are reduced to scheme and host', () => {
+  assert.equal(redactRpcUrl('https://eth.example/v3/key'), 'https://eth.example/***');
+  assert.equal(redactRpcUrl('https://eth.example/?apikey=key'), 'https://eth.example/***');
+  assert.equal(redactRpcUrl('http://localhost:8545'), 'http://localhost:8545');
+});
@@ -0,0 +1,97 @@
+import { openTestDatabase, blacklistEvent } from './helpers.js';
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import database from '../src/database.js';
+import Reconciler from '../src/utils/reconcile.js';
+
+const ADDRESS = '0x' + 'cd'.repeat(20);
+let cleanup;
+
+beforeEach(async () => {
+  cleanup = await openTestDatabase();
+});
+
+afterEach(() => cleanup());
+
+const correction = (isBlacklisted, blockNumber) => ({
+  address: ADDRESS, token: 'USDT', network: 'ETHEREUM', is_blacklisted: isBlacklisted, block_number: blockNumber, timestamp: blockNumber * 12
+});
+
+async function status() {
+  const [row] = await database.getBlacklistStatus(ADDRESS, 'USDT', 'ETHEREUM');
+  return row ? { is_blacklisted: Boolean(row.is_blacklisted), block_number: row.block_number } : null;
+}
+
+test('a correction sets the status without touching the event history', async () => {
+  await database.upsertBlacklistEntry(blacklistEvent(ADDRESS, 100, true));
+
+  assert.equal(await database.applyBlacklistCorrections([correction(false, 200)], 1), 1);
+
+  assert.deepEqual(await status(), { is_blacklisted: false, block_number: 200 });
+  const history = await database.getBlacklistHistory(ADDRESS);
+  assert.deepEqual(history.map(e => e.block_number), [100]);
+  const changes = await database.getChangesSince(0, await database.getLatestChangeId());
+  assert.deepEqual(changes.map(c => [c.change_type, c.direction, c.transaction_hash]), [
+    ['added', 'blacklisted', history[0].transaction_hash],
+    ['corrected', 'unblacklisted', null]
+  ]);
+});
+
+test('a later chain event supersedes a correction', async () => {
+  await database.upsertBlacklistEntry(blacklistEvent(ADDRESS, 100, true));
+  await database.applyBlacklistCorrections([correction(false, 200)], 1);
+
+  await database.upsertBlacklistEntry(blacklistEvent(ADDRESS, 300, true));
+
+  assert.deepEqual(await status(), { is_blacklisted: true, block_number: 300 });
+});
+
+test('an earlier chain event synced after the correction does not override it', async () => {
+  await database.applyBlacklistCorrections([correction(true, 200)], 1);
+
+  await database.upsertBlacklistEntry(blacklistEvent(ADDRESS, 150, false));
+
+  assert.deepEqual(await status(), { is_blacklisted: true, block_number: 200 });
+});
+
+test('a reorg rollback drops corrections at or above the fork', async () => {
+  await database.upsertBlacklistEntry(blacklistEvent(ADDRESS, 100, true));
+  await database.applyBlacklistCorrections([correction(false, 200)], 1);
+
+  await database.rollbackFromBlock('ETHEREUM', 150);
+
+  assert.deepEqual(await status(), { is_blacklisted: true, block_number: 100 });
+});
+
+test('EVM statuses are read and corrected at the confirmed block once the network is synced', async () => {
+  const RECENT = '0x' + 'ef'.repeat(20);
+  const steps = [];
+  const syncer = {
+    network: 'ETHEREUM',
+    syncAll: async () => {
+      steps.push('sync');
+      await database.batchUpsertBlacklistEntries([blacklistEvent(ADDRESS, 100, true), blacklistEvent(RECENT, 505, true)]);
+      await database.updateSyncStatus('ETHEREUM', 'USDT', 512);
+      await database.updateSyncStatus('ETHEREUM', 'USDC', 512);
+      await database.updateChainHead('ETHEREUM', 512, 500);
+    }
+  };
+
+  const reconciler = new Reconciler({ syncers: [syncer] });
+  reconciler.validator.getPool = () => ({ call: async (method, number) => ({ number, timestamp: BigInt(number * 12) }) });
+  reconciler.validator.validateEvmAddresses = async (addresses, token, network, blockNumber) => {
+    steps.push(`${token}@${blockNumber}`);
+    return { blockNumber, statuses: new Map(addresses.map(address => [address, false])) };
+  };
+
+  const run = await reconciler.run(['ETHEREUM']);
+
+  // Read after the sync, at head - confirmations; USDC has no stored status so both addresses match there
+  assert.deepEqual(steps, ['sync', 'USDT@500', 'sync', 'USDC@500']);
+  assert.equal(run.healed, 1);
+  assert.deepEqual(run.report.mismatches.map(m => [m.address, m.action]), [[ADDRESS, 'healed']]);
+  assert.deepEqual(await status(), { is_blacklisted: false, block_number: 500 });
+  // The event above the checked block isn't on-chain state there yet and stays as synced
+  const [recent] = await database.getBlacklistStatus(RECENT, 'USDT', 'ETHEREUM');
+  assert.equal(recent.is_blacklisted, 1);
+});
@@ -0,0 +1,66 @@
+import { openTestDatabase, blacklistEvent } from './helpers.js';
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import database from '../src/database.js';
+import EvmSync from '../src/evm/sync.js';
+
+const ADDRESS = '0x' + 'ab'.repeat(20);
+let cleanup;
+
+beforeEach(async () => {
+  cleanup = await openTestDatabase();
+  await database.upsertBlacklistEntry(blacklistEvent(ADDRESS, 100, true));
+  await database.recordBlockHashes('ETHEREUM', [{ number: 100, hash: '0xaaa' }, { number: 110, hash: '0xbbb' }]);
+});
+
+afterEach(() => cleanup());
+
+// An EvmSync whose RPC answers getBlock from a map of block number -> hash (or Error)
+function syncWithBlocks(blocks) {
+  const sync = Object.create(EvmSync.prototype);
+  return Object.assign(sync, {
+    network: 'ETHEREUM',
+    confirmations: 12,
+    blocks: { invalidateFrom: () => {} },
+    rpc: async (method, number) => {
+      const hash = blocks[number];
+      if (hash instanceof Error) {
+        throw hash;
+      }
+      return hash === undefined ? null : { number, hash };
+    }
+  });
+}
+
+async function isBlacklisted() {
+  const [row] = await database.getBlacklistStatus(ADDRESS, 'USDT', 'ETHEREUM');
+  return Boolean(row?.is_blacklisted);
+}
+
+test('an RPC failure skips the reorg check instead of rolling back', async () => {
+  const forkBlock = await syncWithBlocks({ 100: new Error('socket hang up'), 110: '0xbbb' }).checkForReorg();
+
+  assert.equal(forkBlock, null);
+  assert.equal(await isBlacklisted(), true);
+  assert.equal((await database.getBlockHashes('ETHEREUM')).length, 2);
+});
+
+test('a block the provider does not have yet skips the reorg check', async () => {
+  const forkBlock = await syncWithBlocks({ 100: '0xaaa' }).checkForReorg();
+
+  assert.equal(forkBlock, null);
+  assert.equal(await isBlacklisted(), true);
+});
+
+test('a block with a different hash rolls back from that block', async () => {
+  const forkBlock = await syncWithBlocks({ 100: '0xfff', 110: '0xbbb' }).checkForReorg();
+
+  assert.equal(forkBlock, 88);
+  assert.equal(await isBlacklisted(), false);
+  assert.deepEqual(await database.getBlacklistHistory(ADDRESS), []);
+});
+
+test('matching hashes leave everything in place', async () => {
+  assert.equal(await syncWithBlocks({ 100: '0xaaa', 110: '0xbbb' }).checkForReorg(), null);
+  assert.equal(await isBlacklisted(), true);
+});
@@ -0,0 +1,88 @@
+import { openTestDatabase, blacklistEvent } from './helpers.js';
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import database from '../src/database.js';
+import { up as seedBlacklistEvents } from '../migrations/002_seed_blacklist_events.js';
+
+const ADDRESS = '0x' + '78'.repeat(20);
+const OTHER = '0x' + '9a'.repeat(20);
+let cleanup;
+
+beforeEach(async () => {
+  cleanup = await openTestDatabase();
+});
+
+afterEach(() => cleanup());
+
+async function resync(entries, range = { fromBlock: 0, toBlock: 300 }) {
+  await database.beginResync('ETHEREUM', 'USDT');
+  await database.stageResyncEntries(entries);
+  return await database.commitResync('ETHEREUM', 'USDT', range);
+}
+
+const history = async address => (await database.getBlacklistHistory(address)).map(e => [e.id, e.block_number, e.direction]);
+
+test('a resync keeps matching events, drops stale ones and adds missing ones', async () => {
+  await database.createWebhook({ url: 'https://example.com/hook', secret: 'secret' });
+  await database.batchUpsertBlacklistEntries([
+    blacklistEvent(ADDRESS, 100, true),
+    blacklistEvent(ADDRESS, 150, false),
+    blacklistEvent(OTHER, 120, true)
+  ]);
+  const [kept] = await history(ADDRESS);
+  const deliveriesBefore = (await database.getDueWebhookDeliveries(Date.now() + 1000)).length;
+
+  const result = await resync([
+    blacklistEvent(ADDRESS, 100, true),
+    blacklistEvent(OTHER, 120, true),
+    blacklistEvent(OTHER, 250, false)
+  ]);
+
+  assert.deepEqual(result, { added: 1, removed: 1, transitions: 2 });
+  assert.deepEqual(await history(ADDRESS), [kept]);
+  assert.equal((await database.getBlacklistHistory(OTHER)).length, 2);
+
+  const statuses = await Promise.all([ADDRESS, OTHER].map(a => database.getBlacklistStatus(a, 'USDT', 'ETHEREUM')));
+  assert.deepEqual(statuses.map(([row]) => Boolean(row.is_blacklisted)), [true, false]);
+
+  // ADDRESS is blacklisted again and OTHER unblacklisted: one delivery each
+  const deliveries = await database.getDueWebhookDeliveries(Date.now() + 1000);
+  assert.deepEqual(deliveries.slice(deliveriesBefore).map(d => d.event_type), ['blacklisted', 'unblacklisted']);
+});
+
+test('events outside the resynced range are left alone', async () => {
+  await database.batchUpsertBlacklistEntries([blacklistEvent(ADDRESS, 100, true), blacklistEvent(ADDRESS, 400, false)]);
+
+  await resync([], { fromBlock: 0, toBlock: 300 });
+
+  assert.deepEqual((await history(ADDRESS)).map(([, block]) => block), [400]);
+  const [status] = await database.getBlacklistStatus(ADDRESS, 'USDT', 'ETHEREUM');
+  assert.equal(Boolean(status.is_blacklisted), false);
+});
+
+test('a resync replaces seeded events with the real logs', async () => {
+  await database.db.run(`
+    INSERT INTO blacklist (address, token, network, is_blacklisted, block_number, transaction_hash, timestamp, first_seen, last_updated)
+    VALUES (?, 'USDT', 'ETHEREUM', 1, 150, '0xabc', 1800, 0, 0)
+  `, [ADDRESS]);
+  await seedBlacklistEvents(database.db);
+
+  const result = await resync([blacklistEvent(ADDRESS, 150, true)]);
+
+  assert.deepEqual(result, { added: 1, removed: 1, transitions: 0 });
+  const [event] = await database.getBlacklistHistory(ADDRESS);
+  assert.deepEqual([event.block_number, event.log_index, event.event_name], [150, 0, 'AddedBlackList']);
+  const [status] = await database.getBlacklistStatus(ADDRESS, 'USDT', 'ETHEREUM');
+  assert.equal(status.transaction_hash, event.transaction_hash);
+});
+
+test('a new resync drops what an interrupted one staged', async () => {
+  await database.beginResync('ETHEREUM', 'USDT');
+  await database.stageResyncEntries([blacklistEvent(ADDRESS, 100, true)]);
+
+  const result = await resync([]);
+
+  assert.deepEqual(result, { added: 0, removed: 0, transitions: 0 });
+  assert.deepEqual(await history(ADDRESS), []);
+  assert.equal(await database.getLastSyncedBlock('ETHEREUM', 'USDT'), 300);
+});
@@ -0,0 +1,81 @@
+import { openTestDatabase, blacklistEvent } from './helpers.js';
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout } from 'node:timers/promises';
+import database from '../src/database.js';
+
+const ADDRESS = '0x' + '9a'.repeat(20);
+let cleanup;
+
+beforeEach(async () => {
+  cleanup = await openTestDatabase();
+  await database.db.exec('CREATE TABLE notes (body TEXT NOT NULL)');
+});
+
+afterEach(() => cleanup());
+
+async function notes() {
+  return (await database.db.all('SELECT body FROM notes ORDER BY rowid')).map(row => row.body);
+}
+
+test('a write from another task survives a concurrent transaction rollback', async () => {
+  const failing = database.db.transaction(async () => {
+    await database.db.run("INSERT INTO notes (body) VALUES ('rolled back')");
+    await setTimeout(50);
+    throw new Error('abort');
+  });
+  // Issued while the transaction above is still open
+  await setTimeout(10);
+  const write = database.db.run("INSERT INTO notes (body) VALUES ('kept')");
+
+  await assert.rejects(failing, /abort/);
+  await write;
+  assert.deepEqual(await notes(), ['kept']);
+});
+
+test('writes returning rows wait for the open transaction as well', async () => {
+  const failing = database.db.transaction(async () => {
+    await database.db.run("INSERT INTO notes (body) VALUES ('rolled back')");
+    await setTimeout(50);
+    throw new Error('abort');
+  });
+  await setTimeout(10);
+  const write = database.db.get("INSERT INTO notes (body) VALUES ('kept') RETURNING body");
+
+  await assert.rejects(failing, /abort/);
+  assert.deepEqual(await write, { body: 'kept' });
+  assert.deepEqual(await notes(), ['kept']);
+});
+
+test('reads wait for the open transaction instead of seeing its uncommitted rows', async () => {
+  const failing = database.db.transaction(async () => {
+    await database.db.run("INSERT INTO notes (body) VALUES ('rolled back')");
+    await setTimeout(50);
+    throw new Error('abort');
+  });
+  await setTimeout(10);
+  const during = notes();
+
+  await assert.rejects(failing, /abort/);
+  assert.deepEqual(await during, []);
+  assert.deepEqual(await notes(), []);
+});
+
+test('a change id read during a rolled-back transaction is not skipped once reused', async () => {
+  const failing = database.transaction(async () => {
+    await database.insertBlacklistEvent(blacklistEvent(ADDRESS, 100, true));
+    await setTimeout(50);
+    throw new Error('abort');
+  });
+  // A stream poll racing the transaction
+  await setTimeout(10);
+  const cursor = database.getLatestChangeId();
+
+  await assert.rejects(failing, /abort/);
+  assert.equal(await cursor, 0);
+
+  await database.upsertBlacklistEntry(blacklistEvent(ADDRESS, 120, true));
+  const latest = await database.getLatestChangeId();
+  const changes = await database.getChangesSince(await cursor, latest);
+  assert.deepEqual(changes.map(c => [c.change_type, c.block_number]), [['added', 120]]);
+});
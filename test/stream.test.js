@@ -0,0 +1,90 @@
+import { openTestDatabase, blacklistEvent } from './helpers.js';
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import database from '../src/database.js';
+import changeFeed from '../src/api/stream.js';
+import { up as copyEventsToChangeLog } from '../migrations/003_blacklist_changes.js';
+
+const ADDRESS = '0x' + '12'.repeat(20);
+let cleanup;
+
+beforeEach(async () => {
+  cleanup = await openTestDatabase();
+});
+
+afterEach(() => cleanup());
+
+// Everything the feed replays from the beginning of the change log
+async function replay(filters = {}) {
+  const changes = [];
+  const subscriber = await changeFeed.subscribe({ ...filters, cursor: 0, send: change => changes.push(change) });
+  changeFeed.unsubscribe(subscriber);
+  return changes.map(c => [c.change, c.direction, c.block_number]);
+}
+
+test('a reorg rollback streams the dropped events as removed', async () => {
+  await database.batchUpsertBlacklistEntries([blacklistEvent(ADDRESS, 100, true), blacklistEvent(ADDRESS, 120, false)]);
+
+  await database.rollbackFromBlock('ETHEREUM', 110);
+
+  assert.deepEqual(await replay(), [
+    ['added', 'blacklisted', 100],
+    ['added', 'unblacklisted', 120],
+    ['removed', 'unblacklisted', 120]
+  ]);
+});
+
+test('a log reported as removed is streamed as removed', async () => {
+  const event = blacklistEvent(ADDRESS, 100, true);
+  await database.upsertBlacklistEntry(event);
+
+  await database.removeBlacklistEvent('ETHEREUM', 'USDT', event.transaction_hash, event.log_index);
+
+  assert.deepEqual(await replay({ network: 'ETHEREUM' }), [
+    ['added', 'blacklisted', 100],
+    ['removed', 'blacklisted', 100]
+  ]);
+  assert.deepEqual(await replay({ network: 'TRON' }), []);
+});
+
+test('a resync streams the events it dropped and the ones it added', async () => {
+  await database.batchUpsertBlacklistEntries([blacklistEvent(ADDRESS, 100, true), blacklistEvent(ADDRESS, 150, true)]);
+
+  await database.beginResync('ETHEREUM', 'USDT');
+  await database.stageResyncEntries([blacklistEvent(ADDRESS, 100, true), blacklistEvent(ADDRESS, 200, false)]);
+  const result = await database.commitResync('ETHEREUM', 'USDT', { fromBlock: 0, toBlock: 300 });
+
+  assert.deepEqual(result, { added: 1, removed: 1, transitions: 1 });
+  assert.deepEqual(await replay(), [
+    ['added', 'blacklisted', 100],
+    ['added', 'blacklisted', 150],
+    ['removed', 'blacklisted', 150],
+    ['added', 'unblacklisted', 200]
+  ]);
+});
+
+test('a subscriber resumes after its cursor', async () => {
+  await database.upsertBlacklistEntry(blacklistEvent(ADDRESS, 100, true));
+  const cursor = await database.getLatestChangeId();
+  await database.rollbackFromBlock('ETHEREUM', 100);
+
+  const changes = [];
+  const subscriber = await changeFeed.subscribe({ cursor, send: change => changes.push(change) });
+  changeFeed.unsubscribe(subscriber);
+
+  assert.equal(changes.length, 1);
+  assert.equal(changes[0].change, 'removed');
+  assert.equal(changes[0].id, cursor + 1);
+});
+
+test('events stored before the change log existed keep their ids as cursors', async () => {
+  await database.batchUpsertBlacklistEntries([blacklistEvent(ADDRESS, 100, true), blacklistEvent(ADDRESS, 120, false)]);
+  await database.db.run('DELETE FROM blacklist_changes');
+
+  await copyEventsToChangeLog(database.db);
+  await copyEventsToChangeLog(database.db);
+
+  const events = await database.db.all('SELECT id FROM blacklist_events ORDER BY id');
+  const changes = await database.getChangesSince(0, await database.getLatestChangeId());
+  assert.deepEqual(changes.map(c => [c.id, c.change_type]), events.map(e => [e.id, 'added']));
+});
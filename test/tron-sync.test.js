@@ -0,0 +1,111 @@
+import { openTestDatabase } from './helpers.js';
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import database from '../src/database.js';
+import { getToken } from '../src/registry.js';
+import TronSync from '../src/tron/sync.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const USER = 'TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6t';
+const USDT = getToken('TRON', 'USDT');
+// Last poll before the downtime
+const STOPPED_AT = USDT.startTimestamp + 100 * DAY;
+let cleanup;
+
+beforeEach(async () => {
+  cleanup = await openTestDatabase();
+});
+
+afterEach(() => cleanup());
+
+function tronEvent(eventName, timestamp, blockNumber) {
+  return {
+    event_name: eventName,
+    transaction_id: blockNumber.toString(16).padStart(64, '0'),
+    event_index: 0,
+    block_number: blockNumber,
+    block_timestamp: timestamp,
+    result: { 0: USER, _user: USER }
+  };
+}
+
+// A TronSync reading the given history from a stubbed TronGrid, two events per page;
+// requests records every range asked for
+function stubbedSync(history, headTimestamp, { failAfterPages = Infinity } = {}) {
+  const sync = new TronSync();
+  const requests = [];
+  let pagesServed = 0;
+
+  sync.tronWeb.trx.getCurrentBlock = async () => ({
+    block_header: { raw_data: { number: 5000, timestamp: headTimestamp } }
+  });
+  sync.tronGrid.forEachEventPage = async ({ eventName, minBlockTimestamp, maxBlockTimestamp, fingerprint, onPage }) => {
+    requests.push({ eventName, start: minBlockTimestamp, end: maxBlockTimestamp, fingerprint });
+    const events = history.filter(e => e.event_name === eventName &&
+      e.block_timestamp >= minBlockTimestamp && e.block_timestamp <= maxBlockTimestamp);
+    for (let offset = fingerprint ? Number(fingerprint) : 0; ; offset += 2) {
+      if (pagesServed++ >= failAfterPages) {
+        throw new Error('TronGrid unavailable');
+      }
+      const next = offset + 2 < events.length ? String(offset + 2) : null;
+      await onPage(events.slice(offset, offset + 2), next);
+      if (!next) {
+        break;
+      }
+    }
+  };
+  return { sync, requests };
+}
+
+async function stopAt(timestamp) {
+  for (const { name } of USDT.events) {
+    await database.saveTronCursor('USDT', name, { coveredFrom: USDT.startTimestamp, coveredTo: timestamp });
+  }
+}
+
+test('a poll after downtime catches up from the stored cursors range by range', async () => {
+  await stopAt(STOPPED_AT);
+  const head = STOPPED_AT + 45 * DAY;
+  const { sync, requests } = stubbedSync([
+    tronEvent('AddedBlackList', STOPPED_AT + 10 * DAY, 1000),
+    tronEvent('RemovedBlackList', STOPPED_AT + 40 * DAY, 2000)
+  ], head);
+
+  const inserted = await sync.poll();
+
+  assert.equal(inserted, 2);
+  const added = requests.filter(r => r.eventName === 'AddedBlackList');
+  // The first range re-reads the overlap before the cursor, then ranges follow up to the head
+  assert.deepEqual(added.map(r => [r.start, r.end]), [
+    [STOPPED_AT - sync.pollOverlap, STOPPED_AT + 30 * DAY],
+    [STOPPED_AT + 30 * DAY, head]
+  ]);
+  for (const { name } of USDT.events) {
+    assert.equal((await database.getTronCursor('USDT', name)).covered_to, head);
+  }
+  const [status] = await database.getBlacklistStatus(sync.tronWeb.address.toHex(USER), 'USDT', 'TRON');
+  assert.equal(status.is_blacklisted, 0);
+  const synced = (await database.getSyncStatus()).find(s => s.network === 'TRON' && s.token === 'USDT');
+  assert.equal(synced.last_synced_block, 5000);
+});
+
+test('a catch-up interrupted mid-range resumes at the saved fingerprint', async () => {
+  await stopAt(STOPPED_AT);
+  const head = STOPPED_AT + 10 * DAY;
+  const history = [1, 2, 3, 4, 5].map(day => tronEvent('AddedBlackList', STOPPED_AT + day * DAY, 1000 + day));
+
+  const first = stubbedSync(history, head, { failAfterPages: 2 });
+  await assert.rejects(first.sync.poll(), /TronGrid unavailable/);
+
+  // The first two pages are stored and the cursor points at the third
+  const cursor = await database.getTronCursor('USDT', 'AddedBlackList');
+  assert.equal(cursor.fingerprint, '4');
+  assert.equal(cursor.covered_to, STOPPED_AT + 4 * DAY);
+  assert.equal((await database.getBlacklistHistory(first.sync.tronWeb.address.toHex(USER), 'USDT', 'TRON')).length, 4);
+
+  const second = stubbedSync(history, head);
+  assert.equal(await second.sync.poll(), 1);
+  const [resumed] = second.requests.filter(r => r.eventName === 'AddedBlackList');
+  assert.deepEqual([resumed.start, resumed.end, resumed.fingerprint], [cursor.range_start, cursor.range_end, '4']);
+  assert.equal((await database.getTronCursor('USDT', 'AddedBlackList')).covered_to, head);
+});
@@ -0,0 +1,135 @@
+import './helpers.js';
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import TronGridClient from '../src/tron/trongrid.js';
+
+const CONTRACT = 'TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6t';
+const originalFetch = globalThis.fetch;
+
+afterEach(() => {
+  globalThis.fetch = originalFetch;
+});
+
+// Serves the given responses in order and records each request's query and API key
+function stubFetch(responses) {
+  const requests = [];
+  globalThis.fetch = async (url, options) => {
+    requests.push({
+      params: Object.fromEntries(new URL(url).searchParams),
+      key: options.headers['TRON-PRO-API-KEY'] ?? null,
+      at: Date.now()
+    });
+    const next = responses.shift();
+    return typeof next === 'function' ? next() : next;
+  };
+  return requests;
+}
+
+const json = (body, init = {}) => new Response(JSON.stringify(body), { status: 200, ...init });
+const events = (from, count) => Array.from({ length: count }, (_, i) => ({ transaction_id: `tx${from + i}`, event_index: 0 }));
+
+function client(options = {}) {
+  const tronGrid = new TronGridClient({ host: 'https://trongrid.example', apiKeys: [], ...options });
+  tronGrid.baseDelay = 10;
+  tronGrid.maxDelay = 10;
+  return tronGrid;
+}
+
+async function collect(tronGrid, options = {}) {
+  const pages = [];
+  await tronGrid.forEachEventPage({
+    contractAddress: CONTRACT,
+    eventName: 'AddedBlackList',
+    minBlockTimestamp: 0,
+    maxBlockTimestamp: 1000,
+    onPage: (page, next) => pages.push([page.map(e => e.transaction_id), next]),
+    ...options
+  });
+  return pages;
+}
+
+test('pages of up to 200 events are followed by fingerprint until the last page', async () => {
+  const requests = stubFetch([
+    json({ data: events(0, 200), meta: { fingerprint: 'fp1' } }),
+    json({ data: events(200, 3), meta: {} })
+  ]);
+
+  const pages = await collect(client());
+
+  assert.deepEqual(pages.map(([ids, next]) => [ids.length, next]), [[200, 'fp1'], [3, null]]);
+  assert.deepEqual(requests.map(r => [r.params.limit, r.params.fingerprint]), [['200', undefined], ['200', 'fp1']]);
+  assert.equal(requests[0].params.order_by, 'block_timestamp,asc');
+});
+
+test('events repeated from an earlier page are dropped', async () => {
+  stubFetch([
+    json({ data: events(0, 3), meta: { fingerprint: 'fp1' } }),
+    json({ data: events(2, 3), meta: {} })
+  ]);
+
+  const pages = await collect(client());
+
+  assert.deepEqual(pages, [[['tx0', 'tx1', 'tx2'], 'fp1'], [['tx3', 'tx4'], null]]);
+});
+
+test('a page made only of repeats fails instead of looping', async () => {
+  stubFetch([
+    json({ data: events(0, 3), meta: { fingerprint: 'fp1' } }),
+    json({ data: events(0, 3), meta: { fingerprint: 'fp2' } })
+  ]);
+
+  await assert.rejects(collect(client()), /repeated page of AddedBlackList events \(fingerprint fp1\)/);
+});
+
+test('a fingerprint seen before fails instead of looping', async () => {
+  stubFetch([
+    json({ data: events(0, 3), meta: { fingerprint: 'fp1' } }),
+    json({ data: events(3, 3), meta: { fingerprint: 'fp1' } })
+  ]);
+
+  await assert.rejects(collect(client()), /fingerprint fp1 twice/);
+});
+
+test('a page resumed from a fingerprint that points back at itself fails', async () => {
+  stubFetch([json({ data: events(0, 3), meta: { fingerprint: 'fp0' } })]);
+
+  await assert.rejects(collect(client(), { fingerprint: 'fp0' }), /fingerprint fp0 twice/);
+});
+
+test('a 429 is retried after the Retry-After delay', async () => {
+  const requests = stubFetch([
+    new Response(null, { status: 429, headers: { 'Retry-After': '0.2' } }),
+    json({ data: events(0, 1), meta: {} })
+  ]);
+
+  const pages = await collect(client());
+
+  assert.equal(pages.length, 1);
+  assert.equal(requests.length, 2);
+  // The jittered backoff alone would wait at most 10ms
+  assert.ok(requests[1].at - requests[0].at >= 190);
+});
+
+test('a rate-limited key is rested while another key takes over', async () => {
+  const requests = stubFetch([
+    new Response(null, { status: 429, headers: { 'Retry-After': '60' } }),
+    json({ data: [], meta: {} })
+  ]);
+
+  await collect(client({ apiKeys: ['key-a', 'key-b'] }));
+
+  assert.deepEqual(requests.map(r => r.key), ['key-a', 'key-b']);
+  assert.ok(requests[1].at - requests[0].at < 1000);
+});
+
+test('client errors fail without retrying and retries stop at the limit', async () => {
+  const badRequest = stubFetch([new Response(null, { status: 400, statusText: 'Bad Request' })]);
+  await assert.rejects(collect(client()), /TronGrid API error: 400/);
+  assert.equal(badRequest.length, 1);
+
+  const tronGrid = client();
+  tronGrid.maxRetries = 2;
+  const unavailable = stubFetch([503, 503, 503].map(status => new Response(null, { status })));
+  await assert.rejects(collect(tronGrid), /TronGrid API error: 503/);
+  assert.equal(unavailable.length, 3);
+});
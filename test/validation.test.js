@@ -0,0 +1,61 @@
+import './helpers.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import spec from '../src/api/openapi.js';
+import { validateRequest } from '../src/api/validation.js';
+
+const validate = validateRequest(spec);
+const ETH_ADDRESS = '0x' + '56'.repeat(20);
+const TRON_ADDRESS = 'TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6t';
+
+// Runs the middleware on a request; returns the rejection body, or the coerced query when it passed
+function check(method, path, { query = {}, body = {} } = {}) {
+  const req = { method, path, query, body };
+  let rejection = null;
+  const res = {
+    status() { return this; },
+    json(payload) { rejection = payload; return this; }
+  };
+  let passed = false;
+  validate(req, res, () => { passed = true; });
+  return passed ? { query: req.query } : rejection;
+}
+
+const fields = rejection => rejection.details.map(d => `${d.location}.${d.field}: ${d.message}`);
+
+test('valid requests pass with query values coerced', () => {
+  const { query } = check('GET', `/blacklist/check/${ETH_ADDRESS}`, { query: { network: 'ETHEREUM', at_block: '19000000' } });
+  assert.equal(query.at_block, 19000000);
+});
+
+test('requests outside the spec pass through untouched', () => {
+  assert.ok(check('GET', '/not-documented').query);
+});
+
+test('addresses are checked against the requested network', () => {
+  const rejection = check('GET', `/blacklist/check/${TRON_ADDRESS}`, { query: { network: 'ETHEREUM' } });
+  assert.equal(rejection.code, 'invalid_request');
+  assert.deepEqual(fields(rejection), ['path.address: is not a valid ETHEREUM address']);
+  assert.ok(check('GET', `/blacklist/check/${TRON_ADDRESS}`, { query: { network: 'TRON' } }).query);
+
+  const batch = check('POST', '/blacklist/check-batch', { body: { addresses: [ETH_ADDRESS, '0x1234'] } });
+  assert.deepEqual(fields(batch), ['body.addresses[1]: does not match any allowed format']);
+});
+
+test('unknown and mistyped parameters are rejected', () => {
+  const rejection = check('GET', `/blacklist/check/${ETH_ADDRESS}`, { query: { network: 'MOON', limit: '5' } });
+  assert.deepEqual(fields(rejection).sort(), [
+    `query.limit: is not allowed`,
+    `query.network: must be one of: ${spec.components.schemas.Network.enum.join(', ')}`
+  ]);
+});
+
+test('point-in-time parameters are checked together', () => {
+  const path = `/blacklist/check/${ETH_ADDRESS}`;
+  assert.deepEqual(fields(check('GET', path, { query: { at_block: '100' } })), ['query.network: is required with at_block']);
+  assert.deepEqual(fields(check('GET', path, { query: { network: 'ETHEREUM', at_block: '100', at_time: '2024-01-01T00:00:00Z' } })),
+    ['query.at_time: cannot be combined with at_block']);
+  assert.deepEqual(fields(check('GET', path, { query: { at_time: 'yesterday' } })), ['query.at_time: is not a valid ISO 8601 date-time']);
+  assert.deepEqual(fields(check('POST', '/blacklist/check-batch', { body: { addresses: [ETH_ADDRESS], at_block: 100 } })),
+    ['body.network: is required with at_block']);
+});
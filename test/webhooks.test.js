@@ -0,0 +1,63 @@
+import { openTestDatabase, blacklistEvent } from './helpers.js';
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout } from 'node:timers/promises';
+import database from '../src/database.js';
+import WebhookDispatcher from '../src/webhooks/dispatcher.js';
+
+const ADDRESS = '0x' + '34'.repeat(20);
+const originalFetch = globalThis.fetch;
+let cleanup;
+
+beforeEach(async () => {
+  cleanup = await openTestDatabase();
+});
+
+afterEach(() => {
+  globalThis.fetch = originalFetch;
+  cleanup();
+});
+
+test('a slow endpoint does not hold up deliveries to the others', async () => {
+  await database.createWebhook({ url: 'https://slow.example/hook', secret: 'secret' });
+  await database.createWebhook({ url: 'https://fast.example/hook', secret: 'secret' });
+  await database.upsertBlacklistEntry(blacklistEvent(ADDRESS, 100, true));
+  await database.upsertBlacklistEntry(blacklistEvent(ADDRESS, 120, false));
+
+  let slowPending = 0;
+  const fastDeliveredWhileSlowPending = [];
+  globalThis.fetch = async url => {
+    if (url.startsWith('https://slow.')) {
+      slowPending++;
+      await setTimeout(200);
+      slowPending--;
+      return new Response(null, { status: 504 });
+    }
+    fastDeliveredWhileSlowPending.push(slowPending > 0);
+    return new Response(null, { status: 204 });
+  };
+
+  const dispatcher = new WebhookDispatcher();
+  dispatcher.concurrency = 1;
+  await dispatcher.processDue();
+
+  assert.deepEqual(fastDeliveredWhileSlowPending, [true, true]);
+  const pending = await database.getDueWebhookDeliveries(Date.now() + 60 * 60 * 1000);
+  assert.deepEqual(pending.map(d => [d.url, d.attempts]), [
+    ['https://slow.example/hook', 1],
+    ['https://slow.example/hook', 1]
+  ]);
+});
+
+test('retry delays use equal jitter within the capped exponential step', () => {
+  const dispatcher = new WebhookDispatcher();
+  dispatcher.baseDelay = 1000;
+  dispatcher.maxDelay = 10000;
+
+  for (let i = 0; i < 50; i++) {
+    const third = dispatcher.retryDelay(3);
+    assert.ok(third >= 2000 && third < 4000, `attempt 3 delay ${third}`);
+    const capped = dispatcher.retryDelay(10);
+    assert.ok(capped >= 5000 && capped < 10000, `attempt 10 delay ${capped}`);
+  }
+});